@@ -0,0 +1,138 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+/**
+ * @fileoverview Handling of focus changes to windows on other desktops, e.g.
+ * via Alt-Tab.
+ * @package
+ */
+goog.provide('virtualdesktops.AltTabHandler');
+
+goog.require('virtualdesktops');
+goog.require('virtualdesktops.VirtualDesktopManager');
+goog.require('virtualdesktops.WakeupQueue');
+goog.require('virtualdesktops.WindowProvider');
+goog.require('virtualdesktops.settings');
+
+
+
+/**
+ * An AltTabHandler watches for windows on other desktops getting focus, e.g.
+ * via Alt-Tab, and depending on the settings either switches to their desktop
+ * or moves them to the current one.
+ * ChromeOS focuses each window passed while alt-tabbing, so focus changes are
+ * only acted upon once focus has stayed on a window for ALT_TAB_SETTLE_MS.
+ * @constructor
+ * @param {!virtualdesktops.WindowProvider} windowProvider A WindowProvider to
+ *     access windows with.
+ * @param {!virtualdesktops.WakeupQueue} wakeupQueue The queue of window
+ *     management operations. Focus changes during these are caused by the
+ *     operations themselves, thus are ignored.
+ * @param {function(): ?virtualdesktops.VirtualDesktopManager} getManager
+ *     Returns the VirtualDesktopManager, or null if the stored state has not
+ *     been loaded yet.
+ */
+virtualdesktops.AltTabHandler = function(
+    windowProvider, wakeupQueue, getManager) {
+  /**
+   * Active window provider.
+   * @private {!virtualdesktops.WindowProvider}
+   */
+  this.windowProvider_ = windowProvider;
+
+  /**
+   * The queue of window management operations.
+   * @private {!virtualdesktops.WakeupQueue}
+   */
+  this.wakeupQueue_ = wakeupQueue;
+
+  /**
+   * Returns the VirtualDesktopManager, if loaded.
+   * @private {function(): ?virtualdesktops.VirtualDesktopManager}
+   */
+  this.getManager_ = getManager;
+
+  /**
+   * The timeout waiting for focus to settle, or null if none is pending.
+   * @private {?number}
+   */
+  this.timeout_ = null;
+};
+
+
+/**
+ * Starts listening for focus changes.
+ */
+virtualdesktops.AltTabHandler.prototype.addEventListeners = function() {
+  this.windowProvider_.onFocusChanged(this.focusChangedHandler_.bind(this));
+};
+
+
+/**
+ * Handles events that inform us of a focus change.
+ * @private
+ * @param {number} winId ID of the window that has received focus, or
+ *     chrome.windows.WINDOW_ID_NONE (-1) if no window has.
+ */
+virtualdesktops.AltTabHandler.prototype.focusChangedHandler_ =
+    function(winId) {
+  if (this.timeout_ != null) {
+    clearTimeout(this.timeout_);
+    this.timeout_ = null;
+  }
+  // The settings may not have been loaded yet if this event woke us up, so
+  // they are only checked once focus has settled, from within the queue.
+  if (winId < 0) {
+    return;
+  }
+  if (this.getManager_() != null && !this.wakeupQueue_.isIdle()) {
+    // Focus changes received during window management operations may be
+    // caused by the operation itself, thus are ignored. Loading the stored
+    // state doesn't focus windows though.
+    return;
+  }
+  this.timeout_ = setTimeout((function() {
+    this.timeout_ = null;
+    this.focusSettled_(winId);
+  }).bind(this), virtualdesktops.ALT_TAB_SETTLE_MS);
+};
+
+
+/**
+ * Acts upon a window having kept focus for a while.
+ * @private
+ * @param {number} winId ID of the window that has received focus.
+ */
+virtualdesktops.AltTabHandler.prototype.focusSettled_ = function(winId) {
+  this.wakeupQueue_.add((function(finished) {
+    var manager = this.getManager_();
+    var mode = virtualdesktops.settings.getAltTabMode();
+    if (manager == null || mode == 'off') {
+      finished();
+      return;
+    }
+    // Operations queued meanwhile may have moved focus elsewhere.
+    this.windowProvider_.getLastFocused(function(win) {
+      if (win == null || win.id != winId) {
+        finished();
+        return;
+      }
+      manager.handleFocusedWindow(winId, mode == 'follow', finished);
+    });
+  }).bind(this));
+};
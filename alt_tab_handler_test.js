@@ -0,0 +1,257 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+/**
+ * @fileoverview Unit test for AltTabHandler.
+ * @package
+ */
+goog.setTestOnly();
+
+goog.require('goog.testing.AsyncTestCase');
+goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops');
+goog.require('virtualdesktops.AltTabHandler');
+goog.require('virtualdesktops.FakeWindowProvider');
+goog.require('virtualdesktops.VirtualDesktopManager');
+goog.require('virtualdesktops.WakeupQueue');
+goog.require('virtualdesktops.settings');
+goog.require('virtualdesktops.store');
+
+
+// This variable is initialized and explained at the bottom of this file.
+var asyncTestCase;
+
+
+/**
+ * The window provider for use by this test. It gets initialized in setUp().
+ * @type {virtualdesktops.FakeWindowProvider}
+ */
+var windowProvider = null;
+
+
+/**
+ * The queue of window management operations. It gets initialized in setUp().
+ * @type {virtualdesktops.WakeupQueue}
+ */
+var wakeupQueue = null;
+
+
+/**
+ * The virtual desktop manager for use by this test. It gets initialized in
+ * setUp().
+ * @type {virtualdesktops.VirtualDesktopManager}
+ */
+var virtualDesktopManager = null;
+
+
+/**
+ * The current desktop as reported by the VirtualDesktopManager.
+ * @type {number}
+ */
+var currentDesktop;
+
+
+/**
+ * Creates a window in the fake window provider.
+ * @param {number} id ID of the window to create.
+ * @param {number} x Left coordinate of the window.
+ * @param {number} y Top coordinate of the window.
+ * @param {number} w Width of the window.
+ * @param {number} h Height of the window.
+ */
+function createWindow(id, x, y, w, h) {
+  windowProvider.windows[id] = /** @type {!ChromeWindow} */ ({
+    id: id,
+    left: x,
+    top: y,
+    width: w,
+    height: h,
+    focused: false,
+    incognito: false,
+    type: 'normal',
+    state: 'normal',
+    alwaysOnTop: false
+  });
+}
+
+
+/**
+ * Sets up three windows, and sends window 3 to desktop 2 through the queue of
+ * window management operations, like the background service worker does.
+ */
+function setUp() {
+  virtualdesktops.settings.setDesktops(4);
+  virtualdesktops.settings.setPerDisplayDesktops(false);
+  virtualdesktops.store.remove(virtualdesktops.store.Area.LOCAL, 'state');
+  windowProvider = new virtualdesktops.FakeWindowProvider();
+  createWindow(1, 0, 0, 640, 480);
+  createWindow(2, 640, 0, 640, 480);
+  createWindow(3, 0, 480, 200, 150);
+  windowProvider.update(1, {focused: true}, function() {});
+  wakeupQueue = new virtualdesktops.WakeupQueue();
+  virtualDesktopManager = new virtualdesktops.VirtualDesktopManager(
+      windowProvider, function(desktop) { currentDesktop = desktop; });
+  new virtualdesktops.AltTabHandler(windowProvider, wakeupQueue, function() {
+    return virtualDesktopManager;
+  }).addEventListeners();
+
+  // The focus changes caused by this are ignored.
+  wakeupQueue.add(function(finished) {
+    virtualDesktopManager.sendWindowToDesktop(3, 1, finished);
+  });
+  assertEquals('minimized', windowProvider.windows[3].state);
+}
+
+
+/**
+ * Restores window 3 like ChromeOS does when alt-tabbing to it: at another
+ * position and size.
+ */
+function altTabToWindow3() {
+  windowProvider.update(3, {
+    state: 'normal',
+    focused: true,
+    left: 100,
+    top: 100,
+    width: 800,
+    height: 600
+  }, function() {});
+}
+
+
+/**
+ * Calls a function once focus changes have settled.
+ * @param {string} description What is being waited for.
+ * @param {function()} func The function to call.
+ */
+function afterFocusSettled(description, func) {
+  asyncTestCase.waitForAsync(description);
+  setTimeout(func, 2 * virtualdesktops.ALT_TAB_SETTLE_MS);
+}
+
+
+/**
+ * Tests whether focusing a window on another desktop switches there, but only
+ * once focus stayed on it, and whether the window gets its position and size
+ * back.
+ */
+function testFollowToDesktop() {
+  virtualdesktops.settings.setAltTabMode('follow');
+  altTabToWindow3();
+  // Alt-tabbing on to another window.
+  windowProvider.update(2, {focused: true}, function() {});
+
+  afterFocusSettled('passing window 3', function() {
+    assertEquals(0, currentDesktop);
+    assertEquals(1, virtualDesktopManager.getDesktopOfWindow(3));
+    altTabToWindow3();
+
+    afterFocusSettled('stopping at window 3', function() {
+      assertEquals(1, currentDesktop);
+      assertEquals(1, virtualDesktopManager.getDesktopOfWindow(3));
+      assertEquals('minimized', windowProvider.windows[1].state);
+      assertEquals('minimized', windowProvider.windows[2].state);
+      assertEquals('normal', windowProvider.windows[3].state);
+      assertEquals(0, windowProvider.windows[3].left);
+      assertEquals(480, windowProvider.windows[3].top);
+      assertEquals(200, windowProvider.windows[3].width);
+      assertEquals(150, windowProvider.windows[3].height);
+      assertTrue(windowProvider.windows[3].focused);
+      assertTrue(wakeupQueue.isIdle());
+
+      asyncTestCase.continueTesting();
+    });
+  });
+}
+
+
+/**
+ * Tests whether focusing a window on another desktop can move it to the
+ * current desktop instead, with its position and size restored.
+ */
+function testPullWindowHere() {
+  virtualdesktops.settings.setAltTabMode('pull');
+  altTabToWindow3();
+
+  afterFocusSettled('stopping at window 3', function() {
+    assertEquals(0, currentDesktop);
+    assertEquals(0, virtualDesktopManager.getDesktopOfWindow(3));
+    assertEquals('normal', windowProvider.windows[1].state);
+    assertEquals('normal', windowProvider.windows[3].state);
+    assertEquals(0, windowProvider.windows[3].left);
+    assertEquals(480, windowProvider.windows[3].top);
+    assertEquals(200, windowProvider.windows[3].width);
+    assertEquals(150, windowProvider.windows[3].height);
+
+    asyncTestCase.continueTesting();
+  });
+}
+
+
+/**
+ * Tests whether focus changes are ignored by default.
+ */
+function testOffByDefault() {
+  virtualdesktops.store.remove(virtualdesktops.store.Area.SYNC, 'alt-tab');
+  altTabToWindow3();
+
+  afterFocusSettled('stopping at window 3', function() {
+    assertEquals(0, currentDesktop);
+    assertEquals(1, virtualDesktopManager.getDesktopOfWindow(3));
+    assertEquals(100, windowProvider.windows[3].left);
+
+    asyncTestCase.continueTesting();
+  });
+}
+
+
+/**
+ * Tests whether a focus change is acted upon if it woke up the background
+ * service worker, i.e. arrived before the settings were loaded.
+ */
+function testFocusChangeOnWakeup() {
+  virtualdesktops.store.remove(virtualdesktops.store.Area.SYNC, 'alt-tab');
+  var manager = virtualDesktopManager;
+  virtualDesktopManager = null;
+  wakeupQueue.add(function(finished) {
+    // Loading the settings and the stored state takes a while.
+    setTimeout(function() {
+      virtualdesktops.settings.setAltTabMode('pull');
+      virtualDesktopManager = manager;
+      finished();
+    }, 0);
+  });
+  altTabToWindow3();
+
+  afterFocusSettled('stopping at window 3', function() {
+    assertEquals(0, currentDesktop);
+    assertEquals(0, virtualDesktopManager.getDesktopOfWindow(3));
+    assertEquals(0, windowProvider.windows[3].left);
+
+    asyncTestCase.continueTesting();
+  });
+}
+
+
+// This must be done at the end so compiled unit tests can work, as this
+// triggers enumeration of all test* functions which are created using this
+// compiled JSCompiler code:
+// goog.exportSymbol("testXXX", function testXXX() { ... });
+// This makes the function available only AFTER its declaration, according to
+// ECMA-262 10.1.3.
+asyncTestCase = goog.testing.AsyncTestCase.createAndInstall();
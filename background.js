@@ -16,16 +16,29 @@
 
 
 goog.require('virtualdesktops');
+goog.require('virtualdesktops.AltTabHandler');
 goog.require('virtualdesktops.RequestType');
 goog.require('virtualdesktops.VirtualDesktopManager');
 goog.require('virtualdesktops.WakeupQueue');
 goog.require('virtualdesktops.WindowProvider');
+goog.require('virtualdesktops.displays');
+goog.require('virtualdesktops.grid');
+goog.require('virtualdesktops.history');
+goog.require('virtualdesktops.messageSchema');
+goog.require('virtualdesktops.recentTabs');
+goog.require('virtualdesktops.settings');
+goog.require('virtualdesktops.snapshots');
+goog.require('virtualdesktops.store');
+goog.require('virtualdesktops.tiling');
 
 
 
 /**
  * A WindowManagerService is a handler for various messages that trigger window
  * management actions.
+ * It runs in a service worker, which the browser stops when idle and starts
+ * again for the next event. Nothing is kept in memory in between: the state of
+ * the virtual desktops is loaded again on each start.
  * @constructor
  * @private
  */
@@ -44,44 +57,127 @@ virtualdesktops.WindowManagerService_ = function() {
 
   /**
    * Virtual desktop implementation is stateful and thus needs an object to
-   * keep said state.
-   * @private {!virtualdesktops.VirtualDesktopManager}
+   * keep said state. Null until the stored state has been loaded.
+   * @private {?virtualdesktops.VirtualDesktopManager}
    */
-  this.virtualDesktopManager_ = new virtualdesktops.VirtualDesktopManager(
-      this.windowProvider_, this.updateCurrentDesktop_.bind(this));
+  this.virtualDesktopManager_ = null;
+
+  /**
+   * IDs of new windows that have not been checked against the window rules
+   * yet, as the URL of their active tab was not known yet.
+   * @private {!Object<number, boolean>}
+   */
+  this.uncheckedWindows_ = {};
+
+  /**
+   * Acts upon windows on other desktops getting focus, e.g. via Alt-Tab.
+   * @private {!virtualdesktops.AltTabHandler}
+   */
+  this.altTabHandler_ = new virtualdesktops.AltTabHandler(
+      this.windowProvider_, this.wakeupQueue_, (function() {
+        return this.virtualDesktopManager_;
+      }).bind(this));
+
+  // Loading the stored state is the first task in the queue, so events that
+  // woke us up are only handled once it has been loaded.
+  this.wakeupQueue_.add((function(finished) {
+    virtualdesktops.store.init((function() {
+      this.virtualDesktopManager_ = new virtualdesktops.VirtualDesktopManager(
+          this.windowProvider_, this.updateCurrentDesktop_.bind(this));
+      finished();
+    }).bind(this));
+  }).bind(this));
 };
 
 
 /**
- * Updates the browser action icon to mention the current desktop.
+ * Request types that change windows or desktops, and can thus be undone.
+ * Requests that create windows, e.g. extracting a tab, are left out, as undoing
+ * doesn't close windows. Requests that also change the settings, like
+ * inserting a desktop, can't be undone either.
+ * @const {!Array<string>}
+ * @private
+ */
+virtualdesktops.WindowManagerService_.prototype.UNDOABLE_REQUESTS_ = [
+  virtualdesktops.RequestType.MOVE_WINDOW,
+  virtualdesktops.RequestType.SWITCH_TO_NEXT_DESKTOP,
+  virtualdesktops.RequestType.SWITCH_TO_PREVIOUS_DESKTOP,
+  virtualdesktops.RequestType.CURRENT_TO_NEXT_DESKTOP,
+  virtualdesktops.RequestType.CURRENT_TO_PREVIOUS_DESKTOP,
+  virtualdesktops.RequestType.SWITCH_TO_DESKTOP,
+  virtualdesktops.RequestType.SEND_TO_DESKTOP,
+  virtualdesktops.RequestType.FOCUS_WINDOW,
+  virtualdesktops.RequestType.SEND_WINDOW_TO_DESKTOP,
+  virtualdesktops.RequestType.ARRANGE_DESKTOP,
+  virtualdesktops.RequestType.MOVE_TO_NEXT_DISPLAY,
+  virtualdesktops.RequestType.MOVE_TO_PREVIOUS_DISPLAY,
+  virtualdesktops.RequestType.SET_WINDOW_STICKY,
+  virtualdesktops.RequestType.MOVE_DESKTOP_WINDOWS
+];
+
+
+/**
+ * Updates the browser action icon and title to mention the current desktop.
  * @private
  * @param {number} desktop Number of the current desktop (0-based).
+ * @param {!Array<number>} desktopsByDisplay Number of the current desktop of
+ *     each display, if desktops are switched per display.
  */
 virtualdesktops.WindowManagerService_.prototype.updateCurrentDesktop_ =
-    function(desktop) {
-  // Create the canvas.
-  var canvas = document.createElement('canvas');
-  canvas.width = 18;
-  canvas.height = 18;
+    function(desktop, desktopsByDisplay) {
+  var color = virtualdesktops.settings.getDesktopColor(desktop);
+
+  // Create the canvas. Service workers have no DOM, so it is drawn offscreen.
+  var canvas = new OffscreenCanvas(18, 18);
   var ctx = canvas.getContext('2d');
 
-  // Draw the background (a white box with black outlines).
-  ctx.fillStyle = 'white';
+  // Draw the background (a box in the desktop's color with black outlines).
+  ctx.fillStyle = color;
   ctx.strokeStyle = 'black';
   ctx.rect(0, 0, canvas.width, canvas.height);
   ctx.fill();
   ctx.stroke();
 
-  // Draw black text in the center of the box.
+  // Draw text in the center of the box, in black or white depending on what
+  // is more readable on the background.
   ctx.textAlign = 'center';
   ctx.textBaseline = 'middle';
   ctx.font = 'bold 12px sans-serif';
-  ctx.fillStyle = 'black';
+  ctx.fillStyle = this.isDarkColor_(color) ? 'white' : 'black';
   ctx.fillText(desktop + 1, canvas.width / 2, canvas.height / 2);
 
   // Set the icon to this canvas's image data.
   var data = ctx.getImageData(0, 0, canvas.width, canvas.height);
-  chrome.browserAction.setIcon({imageData: data});
+  chrome.action.setIcon({imageData: data});
+
+  // Also mention the desktop name in the tooltip, or that of each display if
+  // desktops are switched per display.
+  var names = [virtualdesktops.settings.getDesktopName(desktop)];
+  if (desktopsByDisplay.length > 1) {
+    names = desktopsByDisplay.map(function(d, i) {
+      return 'Display ' + (i + 1) + ': ' +
+          virtualdesktops.settings.getDesktopName(d);
+    });
+  }
+  chrome.action.setTitle({
+    title: 'Virtual Desktops - ' + names.join(', ')
+  });
+};
+
+
+/**
+ * Decides whether a color is dark enough to need white text on it.
+ * @private
+ * @param {string} color The color in #rrggbb notation.
+ * @return {boolean} Whether the color is dark.
+ */
+virtualdesktops.WindowManagerService_.prototype.isDarkColor_ =
+    function(color) {
+  var r = parseInt(color.substr(1, 2), 16);
+  var g = parseInt(color.substr(3, 2), 16);
+  var b = parseInt(color.substr(5, 2), 16);
+  // Perceived brightness as per ITU-R BT.601.
+  return 0.299 * r + 0.587 * g + 0.114 * b < 128;
 };
 
 
@@ -96,100 +192,590 @@ virtualdesktops.WindowManagerService_.prototype.updateCurrentDesktop_ =
  */
 virtualdesktops.WindowManagerService_.prototype.messageHandler_ =
     function(message, sender, sendResponse) {
+  this.enqueueRequest_(message, sendResponse);
+  return true;  // Will call sendResponse() asynchronously.
+};
+
+
+/**
+ * Handles a message received from another extension.
+ * Only extensions the user allowed on the options page may send requests, and
+ * their requests must state the schema version they were written for.
+ * Requests operating on a window may leave out 'winId' to operate on the last
+ * focused window.
+ * @private
+ * @param {*} message The message sent by the other extension.
+ * @param {!MessageSender} sender Identification of the sender of the message.
+ * @param {function(*): void} sendResponse Callback to call when done.
+ * @return {boolean} A true value as the sendResponse callback will be called
+ *     asynchronously.
+ */
+virtualdesktops.WindowManagerService_.prototype.externalMessageHandler_ =
+    function(message, sender, sendResponse) {
+  // The allowed extensions are only known once the settings have been loaded.
+  virtualdesktops.store.init((function() {
+    if (virtualdesktops.settings.getExternalExtensionIds().indexOf(
+            sender.id) < 0) {
+      sendResponse(virtualdesktops.messageSchema.error(
+          'Extension ' + sender.id + ' has not been allowed to send requests'));
+      return;
+    }
+    if (message == null || typeof message != 'object' ||
+        message['version'] != virtualdesktops.messageSchema.VERSION) {
+      sendResponse(virtualdesktops.messageSchema.error(
+          'Unsupported request version, expected ' +
+          virtualdesktops.messageSchema.VERSION));
+      return;
+    }
+    if (virtualdesktops.messageSchema.needsWindow(message['request']) &&
+        message['winId'] === undefined) {
+      this.windowProvider_.getLastFocused((function(win) {
+        if (win == null) {
+          sendResponse(
+              virtualdesktops.messageSchema.error('No window focused'));
+          return;
+        }
+        message['winId'] = win.id;
+        this.enqueueRequest_(message, sendResponse);
+      }).bind(this));
+    } else {
+      this.enqueueRequest_(message, sendResponse);
+    }
+  }).bind(this));
+  return true;  // Will call sendResponse() asynchronously.
+};
+
+
+/**
+ * Validates a request, and queues it for processing once all previous requests
+ * have been processed.
+ * @private
+ * @param {*} message The request.
+ * @param {function(*): void} sendResponse Callback to call when done.
+ */
+virtualdesktops.WindowManagerService_.prototype.enqueueRequest_ =
+    function(message, sendResponse) {
+  var respond = function(response) {
+    console.log('sending response to ' + JSON.stringify(message));
+    try {
+      sendResponse(response);
+    } catch (e) {
+      // No need to report this. The typical cause is that the receiving
+      // browser action has already been closed, e.g. because window focus
+      // changed. This leads to "Attempting to use a disconnected port
+      // object". Just ignore this.
+    }
+  };
+  console.debug(JSON.stringify(message));
+  var error = virtualdesktops.messageSchema.validate(message);
+  if (error != null) {
+    console.log(error);
+    respond(virtualdesktops.messageSchema.error(error));
+    return;
+  }
   this.wakeupQueue_.add((function(finished) {
-    var callback = function() {
-      console.log('sending response to ' + JSON.stringify(message));
-      try {
-        sendResponse(null);
-      } catch (e) {
-        // No need to report this. The typical cause is that the receiving
-        // browser action has already been closed, e.g. because window focus
-        // changed. This leads to "Attempting to use a disconnected port
-        // object". Just ignore this.
+    var handle = this.handleRequest_.bind(this,
+        /** @type {!Object} */ (message), function(opt_result) {
+          respond(virtualdesktops.messageSchema.success(opt_result));
+          finished();
+        });
+    if (this.UNDOABLE_REQUESTS_.indexOf(message['request']) < 0) {
+      handle();
+      return;
+    }
+    // Remember how things were, so the request can be undone.
+    this.virtualDesktopManager_.captureState(function(entry) {
+      virtualdesktops.history.record(entry);
+      handle();
+    });
+  }).bind(this));
+};
+
+
+/**
+ * Performs the action a validated request asks for.
+ * @private
+ * @param {!Object} message The request.
+ * @param {function(*=)} callback Callback to call when done. Receives the
+ *     request specific result, if any.
+ */
+virtualdesktops.WindowManagerService_.prototype.handleRequest_ =
+    function(message, callback) {
+  switch (message['request']) {
+    case virtualdesktops.RequestType.MOVE_WINDOW:
+      if (message['fullscreen']) {
+        this.maximizeWindow_(message['winId'], callback);
+      } else {
+        this.positionWindow_(message['winId'],
+            message['x'], message['y'], message['w'], message['h'],
+            callback);
       }
-      finished();
-    };
-    console.debug(JSON.stringify(message));
-    switch (message['request']) {
-      case virtualdesktops.RequestType.MOVE_WINDOW:
-        if (message['fullscreen']) {
-          this.maximizeWindow_(message['winId'], callback);
-        } else {
-          this.positionWindow_(message['winId'],
-              message['x'], message['y'], message['w'], message['h'],
-              callback);
-        }
+      break;
+    case virtualdesktops.RequestType.EXTRACT_TAB:
+      var tabIds = message['tabIds'] || [message['tabId']];
+      if (message['fullscreen']) {
+        this.maximizeTab_(tabIds, message['tabId'],
+            message['extractTab'], message['incognito'],
+            callback);
+      } else {
+        this.positionTab_(tabIds, message['tabId'],
+            message['extractTab'], message['incognito'],
+            message['x'], message['y'], message['w'], message['h'],
+            function() {
+              callback();
+            });
+      }
+      break;
+    case virtualdesktops.RequestType.SPLIT_WITH_PREVIOUS_TAB:
+      this.splitWithPreviousTab_(message['tabId'], callback);
+      break;
+    case virtualdesktops.RequestType.SWITCH_TO_NEXT_DESKTOP:
+      this.virtualDesktopManager_.switchToDesktop(
+          this.virtualDesktopManager_.currentDesktop() + 1,
+          message['winId'], false, callback);
+      break;
+    case virtualdesktops.RequestType.SWITCH_TO_PREVIOUS_DESKTOP:
+      this.virtualDesktopManager_.switchToDesktop(
+          this.virtualDesktopManager_.currentDesktop() - 1,
+          message['winId'], false, callback);
+      break;
+    case virtualdesktops.RequestType.CURRENT_TO_NEXT_DESKTOP:
+      this.virtualDesktopManager_.switchToDesktop(
+          this.virtualDesktopManager_.currentDesktop() + 1,
+          message['winId'], true, callback);
+      break;
+    case virtualdesktops.RequestType.CURRENT_TO_PREVIOUS_DESKTOP:
+      this.virtualDesktopManager_.switchToDesktop(
+          this.virtualDesktopManager_.currentDesktop() - 1,
+          message['winId'], true, callback);
+      break;
+    case virtualdesktops.RequestType.SWITCH_TO_DESKTOP:
+      this.virtualDesktopManager_.switchToAbsoluteDesktop(
+          message['desktop'], message['winId'], false, callback);
+      break;
+    case virtualdesktops.RequestType.SEND_TO_DESKTOP:
+      this.virtualDesktopManager_.switchToAbsoluteDesktop(
+          message['desktop'], message['winId'], true, callback);
+      break;
+    case virtualdesktops.RequestType.GET_OVERVIEW:
+      this.getOverview_(callback);
+      break;
+    case virtualdesktops.RequestType.FOCUS_WINDOW:
+      this.virtualDesktopManager_.focusWindow(message['winId'], callback);
+      break;
+    case virtualdesktops.RequestType.SEND_WINDOW_TO_DESKTOP:
+      this.virtualDesktopManager_.sendWindowToDesktop(
+          message['winId'], message['desktop'], callback);
+      break;
+    case virtualdesktops.RequestType.QUERY_DESKTOPS:
+      this.queryDesktops_(callback);
+      break;
+    case virtualdesktops.RequestType.ARRANGE_DESKTOP:
+      this.getWorkArea_(message['winId'], (function(workArea) {
+        this.virtualDesktopManager_.arrangeDesktop(
+            /** @type {virtualdesktops.tiling.Mode} */ (message['mode']),
+            workArea, message['winId'], callback);
+      }).bind(this));
+      break;
+    case virtualdesktops.RequestType.MOVE_TO_NEXT_DISPLAY:
+      this.moveToDisplay_(message['winId'], 1, callback);
+      break;
+    case virtualdesktops.RequestType.MOVE_TO_PREVIOUS_DISPLAY:
+      this.moveToDisplay_(message['winId'], -1, callback);
+      break;
+    case virtualdesktops.RequestType.SAVE_SNAPSHOT:
+      this.virtualDesktopManager_.takeSnapshot(message['name'],
+          function(snapshot) {
+            virtualdesktops.snapshots.save(snapshot);
+            callback();
+          });
+      break;
+    case virtualdesktops.RequestType.RESTORE_SNAPSHOT:
+      var snapshot = virtualdesktops.snapshots.get(message['name']);
+      if (snapshot == null) {
+        callback();
         break;
-      case virtualdesktops.RequestType.EXTRACT_TAB:
-        if (message['fullscreen']) {
-          this.maximizeTab_(message['tabId'],
-              message['extractTab'], message['incognito'],
-              callback);
+      }
+      this.virtualDesktopManager_.restoreSnapshot(snapshot, callback);
+      break;
+    case virtualdesktops.RequestType.DELETE_SNAPSHOT:
+      virtualdesktops.snapshots.remove(message['name']);
+      callback();
+      break;
+    case virtualdesktops.RequestType.LIST_SNAPSHOTS:
+      callback(virtualdesktops.snapshots.list().map(function(snapshot) {
+        return {
+          'name': snapshot.name,
+          'created': snapshot.created,
+          'windowCount': snapshot.windowCount
+        };
+      }));
+      break;
+    case virtualdesktops.RequestType.SET_WINDOW_STICKY:
+      this.virtualDesktopManager_.setWindowSticky(
+          message['winId'], message['sticky'], callback);
+      break;
+    case virtualdesktops.RequestType.MOVE_DESKTOP_WINDOWS:
+      this.virtualDesktopManager_.moveDesktopWindows(
+          message['from'], message['to'], callback);
+      break;
+    case virtualdesktops.RequestType.SWAP_DESKTOPS:
+      this.virtualDesktopManager_.swapDesktops(
+          message['desktop'], message['otherDesktop'], callback);
+      break;
+    case virtualdesktops.RequestType.INSERT_DESKTOP:
+      this.virtualDesktopManager_.insertDesktop(message['desktop'], callback);
+      break;
+    case virtualdesktops.RequestType.DELETE_DESKTOP:
+      this.virtualDesktopManager_.deleteDesktop(message['desktop'], callback);
+      break;
+    case virtualdesktops.RequestType.SEND_TAB_TO_DESKTOP:
+      this.virtualDesktopManager_.sendTabToDesktop(
+          message['tabId'], message['desktop'], callback);
+      break;
+    case virtualdesktops.RequestType.UNDO:
+      this.restoreFromHistory_(virtualdesktops.history.undo, callback);
+      break;
+    case virtualdesktops.RequestType.REDO:
+      this.restoreFromHistory_(virtualdesktops.history.redo, callback);
+      break;
+  }
+};
+
+
+/**
+ * Undoes or redoes an operation.
+ * @private
+ * @param {function(!virtualdesktops.history.Entry):
+ *     ?virtualdesktops.history.Entry} step Either virtualdesktops.history.undo
+ *     or virtualdesktops.history.redo.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.WindowManagerService_.prototype.restoreFromHistory_ =
+    function(step, callback) {
+  this.virtualDesktopManager_.captureState((function(current) {
+    var entry = step(current);
+    if (entry == null) {
+      callback();
+      return;
+    }
+    this.virtualDesktopManager_.restoreState(entry, callback);
+  }).bind(this));
+};
+
+
+/**
+ * Finds the work area of the display a window is on, i.e. the area windows can
+ * be placed in.
+ * @private
+ * @param {number} winId The ID of the window.
+ * @param {function(!virtualdesktops.tiling.Rect)} callback The callback that
+ *     receives the work area.
+ */
+virtualdesktops.WindowManagerService_.prototype.getWorkArea_ =
+    function(winId, callback) {
+  this.windowProvider_.get(winId, function(win) {
+    virtualdesktops.displays.getWorkArea(win, callback);
+  });
+};
+
+
+/**
+ * Moves a window to another display, keeping its position and size relative to
+ * the display's work area. Maximized windows stay maximized.
+ * @private
+ * @param {number} winId The ID of the window.
+ * @param {number} delta By how many displays to move the window; displays are
+ *     ordered from left to right, and moving past the last one wraps around.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.WindowManagerService_.prototype.moveToDisplay_ =
+    function(winId, delta, callback) {
+  this.windowProvider_.get(winId, (function(win) {
+    if (win == null) {
+      callback();
+      return;
+    }
+    virtualdesktops.displays.getDisplays((function(displays) {
+      var bounds = {
+        left: win.left,
+        top: win.top,
+        width: win.width,
+        height: win.height
+      };
+      var from = virtualdesktops.displays.findDisplay(displays, bounds);
+      if (displays.length < 2 || from < 0) {
+        callback();
+        return;
+      }
+      var to = (from + delta + displays.length) % displays.length;
+      var rect = virtualdesktops.displays.mapRect(
+          bounds, displays[from].workArea, displays[to].workArea);
+      // Maximized windows can't be moved, so they are moved as normal windows
+      // and maximized again afterwards.
+      var updateInfo = {
+        left: rect.left,
+        top: rect.top,
+        width: rect.width,
+        height: rect.height,
+        state: 'normal'
+      };
+      this.windowProvider_.update(winId, updateInfo, (function() {
+        if (win.state == 'maximized') {
+          this.windowProvider_.update(winId, {state: 'maximized'}, callback);
         } else {
-          this.positionTab_(message['tabId'],
-              message['extractTab'], message['incognito'],
-              message['x'], message['y'], message['w'], message['h'],
-              callback);
+          callback();
         }
+      }).bind(this));
+    }).bind(this));
+  }).bind(this));
+};
+
+
+/**
+ * Handles keyboard commands declared in the manifest.
+ * Each command is turned into the request the browser action would send for
+ * the same action, operating on the last focused window.
+ * @private
+ * @param {string} command The name of the command.
+ */
+virtualdesktops.WindowManagerService_.prototype.commandHandler_ =
+    function(command) {
+  var message = {};
+  var fraction = null;
+  var desktopMatch = /^desktop-(\d+)$/.exec(command);
+  if (desktopMatch) {
+    message['request'] = virtualdesktops.RequestType.SWITCH_TO_DESKTOP;
+    message['desktop'] = parseInt(desktopMatch[1], 10) - 1;
+  } else {
+    switch (command) {
+      case 'next-desktop':
+        message['request'] = virtualdesktops.RequestType.SWITCH_TO_NEXT_DESKTOP;
+        break;
+      case 'previous-desktop':
+        message['request'] =
+            virtualdesktops.RequestType.SWITCH_TO_PREVIOUS_DESKTOP;
+        break;
+      case 'send-to-next-desktop':
+        message['request'] =
+            virtualdesktops.RequestType.CURRENT_TO_NEXT_DESKTOP;
         break;
-      case virtualdesktops.RequestType.SWITCH_TO_NEXT_DESKTOP:
-        this.virtualDesktopManager_.switchToDesktop(
-            this.virtualDesktopManager_.currentDesktop() + 1,
-            message['winId'], false, callback);
+      case 'send-to-previous-desktop':
+        message['request'] =
+            virtualdesktops.RequestType.CURRENT_TO_PREVIOUS_DESKTOP;
         break;
-      case virtualdesktops.RequestType.SWITCH_TO_PREVIOUS_DESKTOP:
-        this.virtualDesktopManager_.switchToDesktop(
-            this.virtualDesktopManager_.currentDesktop() - 1,
-            message['winId'], false, callback);
+      case 'tile-left':
+        message['request'] = virtualdesktops.RequestType.MOVE_WINDOW;
+        fraction = [0, 0, 0.5, 1];
         break;
-      case virtualdesktops.RequestType.CURRENT_TO_NEXT_DESKTOP:
-        this.virtualDesktopManager_.switchToDesktop(
-            this.virtualDesktopManager_.currentDesktop() + 1,
-            message['winId'], true, callback);
+      case 'tile-right':
+        message['request'] = virtualdesktops.RequestType.MOVE_WINDOW;
+        fraction = [0.5, 0, 0.5, 1];
         break;
-      case virtualdesktops.RequestType.CURRENT_TO_PREVIOUS_DESKTOP:
-        this.virtualDesktopManager_.switchToDesktop(
-            this.virtualDesktopManager_.currentDesktop() - 1,
-            message['winId'], true, callback);
+      case 'next-display':
+        message['request'] = virtualdesktops.RequestType.MOVE_TO_NEXT_DISPLAY;
         break;
+      case 'previous-display':
+        message['request'] =
+            virtualdesktops.RequestType.MOVE_TO_PREVIOUS_DISPLAY;
+        break;
+      case 'maximize':
+        message['request'] = virtualdesktops.RequestType.MOVE_WINDOW;
+        message['fullscreen'] = true;
+        break;
+      default:
+        console.log('Unknown command: ' + command);
+        return;
+    }
+  }
+  this.windowProvider_.getLastFocused((function(win) {
+    if (win == null) {
+      return;
+    }
+    message['winId'] = win.id;
+    if (fraction == null) {
+      this.enqueueRequest_(message, function() {});
+      return;
     }
+    // Tile relative to the display the window is on.
+    virtualdesktops.displays.getWorkArea(win, (function(workArea) {
+      virtualdesktops.grid.writeFractionToMessage(fraction[0], fraction[1],
+          fraction[2], fraction[3], workArea, message);
+      this.enqueueRequest_(message, function() {});
+    }).bind(this));
   }).bind(this));
-  return true;  // Will call sendResponse() asynchronously.
 };
 
 
 /**
- * Handles events that inform us of a focus change.
- * Useful to automatically switch to a window's virtual desktop when it has been
- * restored by the user (e.g. via Alt-Tab).
+ * Collects the windows on each desktop for display in the browser action.
  * @private
- * @param {number} winId ID of the window that has received focus.
+ * @param {function(*)} callback The callback that receives the overview. It is
+ *     an object with the current desktop number in 'currentDesktop', the
+ *     current desktop number of each display (if desktops are switched per
+ *     display) in 'displayDesktops', and a list per desktop of window
+ *     descriptions in 'desktops'. Each window description contains 'winId',
+ *     'title' (of the active tab), 'tabCount', 'state' and 'sticky' (whether
+ *     it is shown on all desktops).
  */
-virtualdesktops.WindowManagerService_.prototype.focusChangedHandler_ =
+virtualdesktops.WindowManagerService_.prototype.getOverview_ =
+    function(callback) {
+  this.virtualDesktopManager_.getWindowsByDesktop((function(windowsByDesktop) {
+    var desktops = windowsByDesktop.map(function(windows) {
+      return windows.map((function(win) {
+        var tabs = win.tabs || [];
+        var activeTab = tabs.filter(function(tab) {
+          return tab.active;
+        })[0] || tabs[0];
+        return {
+          'winId': win.id,
+          'title': activeTab ? activeTab.title : '',
+          'tabCount': tabs.length,
+          'state': win.state,
+          'sticky': this.virtualDesktopManager_.isWindowSticky(win.id)
+        };
+      }).bind(this));
+    }, this);
+    callback({
+      'currentDesktop': this.virtualDesktopManager_.currentDesktop(),
+      'displayDesktops':
+          this.virtualDesktopManager_.getCurrentDesktopsByDisplay(),
+      'desktops': desktops
+    });
+  }).bind(this));
+};
+
+
+/**
+ * Collects the current desktop and the desktop each window is on, for use by
+ * other extensions.
+ * @private
+ * @param {function(*)} callback The callback that receives the result. It is
+ *     an object with the current desktop number in 'currentDesktop', the
+ *     number of desktops in 'desktopCount', and a list of objects with 'winId'
+ *     and 'desktop' in 'windows'.
+ */
+virtualdesktops.WindowManagerService_.prototype.queryDesktops_ =
+    function(callback) {
+  this.virtualDesktopManager_.getWindowsByDesktop((function(windowsByDesktop) {
+    var windows = [];
+    windowsByDesktop.forEach(function(windowsOnDesktop, desktop) {
+      windowsOnDesktop.forEach(function(win) {
+        windows.push({'winId': win.id, 'desktop': desktop});
+      });
+    });
+    callback({
+      'currentDesktop': this.virtualDesktopManager_.currentDesktop(),
+      'desktopCount': windowsByDesktop.length,
+      'windows': windows
+    });
+  }).bind(this));
+};
+
+
+/**
+ * Handles events that inform us of a window having been created.
+ * Useful to remember new windows right away, and to place them according to
+ * the window rules.
+ * @private
+ * @param {!ChromeWindow} win The window that just has been created.
+ */
+virtualdesktops.WindowManagerService_.prototype.createdHandler_ =
+    function(win) {
+  // Windows created by window management operations, e.g. when restoring a
+  // snapshot, are placed by the operation itself. The window rules skip those,
+  // which is only known once the operation is done.
+  this.enqueueWindowUpdate_(win.id);
+  this.uncheckedWindows_[win.id] = true;
+  this.enqueueWindowRules_(win.id);
+};
+
+
+/**
+ * Handles events that inform us of a window having been moved or resized.
+ * Useful to remember the new position and size right away, as they can't be
+ * found out any more once ChromeOS has minimized the window.
+ * @private
+ * @param {!ChromeWindow} win The window with its new position and size.
+ */
+virtualdesktops.WindowManagerService_.prototype.boundsChangedHandler_ =
+    function(win) {
+  this.enqueueWindowUpdate_(win.id);
+};
+
+
+/**
+ * Queues updating the remembered state of a window. Window management
+ * operations that are running meanwhile may change the window too, e.g. by
+ * minimizing it, so it is queried again once it's its turn.
+ * @private
+ * @param {number} winId ID of the window.
+ */
+virtualdesktops.WindowManagerService_.prototype.enqueueWindowUpdate_ =
     function(winId) {
-  if (!this.wakeupQueue_.isIdle()) {
-    // Alt-Tab events received during window management operations may be caused
-    // by the operation itself, thus are ignored.
-    return;
-  }
+  this.wakeupQueue_.add((function(finished) {
+    this.windowProvider_.get(winId, (function(win) {
+      if (win != null) {
+        this.virtualDesktopManager_.updateWindow(win);
+      }
+      finished();
+    }).bind(this));
+  }).bind(this));
+};
 
-  var desktop = this.virtualDesktopManager_.getDesktopOfWindow(winId);
-  if (desktop == null) {
-    // Unknown or no window -> nothing to do.
-    return;
-  }
-  if (desktop == this.virtualDesktopManager_.currentDesktop()) {
-    // If it belongs on this desktop, nothing to do.
-    return;
+
+/**
+ * Handles events that inform us of a tab having been updated.
+ * Useful to check new windows against the window rules once the URL of their
+ * first tab is known.
+ * @private
+ * @param {number} tabId ID of the tab that has been updated.
+ * @param {!Object} changeInfo The properties of the tab that changed.
+ * @param {!Tab} tab The updated tab.
+ */
+virtualdesktops.WindowManagerService_.prototype.tabUpdatedHandler_ =
+    function(tabId, changeInfo, tab) {
+  if (changeInfo['url'] && this.uncheckedWindows_[tab.windowId]) {
+    this.enqueueWindowRules_(tab.windowId);
   }
+};
 
-  console.debug('Alt-tab to another desktop detected!');
 
-  // Send the window back to the desktop where it belongs, and also switch
-  // there.
+/**
+ * Handles events that inform us of a tab having become active, and remembers
+ * it, so one can split with the previously active tab.
+ * @private
+ * @param {!Object} activeInfo The 'tabId' of the tab and the 'windowId' of its
+ *     window.
+ */
+virtualdesktops.WindowManagerService_.prototype.tabActivatedHandler_ =
+    function(activeInfo) {
+  this.wakeupQueue_.add(function(finished) {
+    virtualdesktops.recentTabs.activated(activeInfo['tabId']);
+    finished();
+  });
+};
+
+
+/**
+ * Queues checking a new window against the window rules.
+ * @private
+ * @param {number} winId ID of the window.
+ */
+virtualdesktops.WindowManagerService_.prototype.enqueueWindowRules_ =
+    function(winId) {
   this.wakeupQueue_.add((function(finished) {
-    this.virtualDesktopManager_.switchToDesktop(
-        /** @type {number} */ (desktop), winId, true, finished);
+    if (!this.uncheckedWindows_[winId]) {
+      // Checked meanwhile.
+      finished();
+      return;
+    }
+    this.virtualDesktopManager_.applyWindowRules(winId, (function(checked) {
+      if (checked) {
+        delete this.uncheckedWindows_[winId];
+      }
+      finished();
+    }).bind(this));
   }).bind(this));
 };
 
@@ -202,6 +788,7 @@ virtualdesktops.WindowManagerService_.prototype.focusChangedHandler_ =
  */
 virtualdesktops.WindowManagerService_.prototype.removedHandler_ =
     function(winId) {
+  delete this.uncheckedWindows_[winId];
   this.wakeupQueue_.add((function(finished) {
     this.virtualDesktopManager_.forgetWindow(winId, finished);
   }).bind(this));
@@ -209,15 +796,99 @@ virtualdesktops.WindowManagerService_.prototype.removedHandler_ =
 
 
 /**
- * Starts all event listeners.
+ * Handles events that inform us of a settings change by another page of this
+ * extension, e.g. the options page, or on another device.
+ * Useful to redraw the browser action icon when desktop names or colors change,
+ * and to move windows off desktops removed by lowering the number of desktops.
+ * @private
+ * @param {virtualdesktops.store.Area} area The storage area that changed.
+ * @param {!Array<string>} keys The keys that changed.
+ */
+virtualdesktops.WindowManagerService_.prototype.settingsChangedHandler_ =
+    function(area, keys) {
+  if (area != virtualdesktops.store.Area.SYNC) {
+    return;
+  }
+  if (keys.indexOf('desktops') >= 0) {
+    // If this change woke us up, the queue only gets to this once the stored
+    // state has been loaded.
+    this.wakeupQueue_.add((function(finished) {
+      this.virtualDesktopManager_.reconcileDesktops(finished);
+    }).bind(this));
+  }
+  if (this.virtualDesktopManager_ != null) {
+    this.updateCurrentDesktop_(this.virtualDesktopManager_.currentDesktop(),
+        this.virtualDesktopManager_.getCurrentDesktopsByDisplay());
+  }
+};
+
+
+/**
+ * Handles events that inform us of displays having been connected,
+ * disconnected or rearranged.
+ * Useful to move remembered window positions off displays that are gone, so
+ * windows do not get restored off-screen when switching desktops.
+ * @private
+ */
+virtualdesktops.WindowManagerService_.prototype.displayChangedHandler_ =
+    function() {
+  virtualdesktops.displays.getDisplays((function(displays) {
+    this.wakeupQueue_.add((function(finished) {
+      this.virtualDesktopManager_.setDisplays(displays);
+      finished();
+    }).bind(this));
+  }).bind(this));
+};
+
+
+/**
+ * Handles the browser having been started.
+ * @private
+ */
+virtualdesktops.WindowManagerService_.prototype.startupHandler_ =
+    function() {
+  // Remember the initial displays.
+  this.displayChangedHandler_();
+  // Window IDs have changed since the window states were saved, as the browser
+  // was restarted. This also makes the history useless. Chrome reports the
+  // restored windows as created too, so this must happen before checking them
+  // against the window rules, or they would be taken for new windows.
+  this.wakeupQueue_.addNext((function(finished) {
+    virtualdesktops.history.clear();
+    virtualdesktops.recentTabs.clear();
+    this.virtualDesktopManager_.reidentifyWindows(finished);
+  }).bind(this));
+};
+
+
+/**
+ * Starts all event listeners. Must be called before the service worker's
+ * script finishes running, or the browser won't deliver the events that woke
+ * it up.
  */
 virtualdesktops.WindowManagerService_.prototype.addEventListeners =
     function() {
   chrome.runtime.onMessage.addListener(this.messageHandler_.bind(this));
-  if (virtualdesktops.HANDLE_ALT_TAB) {
-    this.windowProvider_.onFocusChanged(this.focusChangedHandler_.bind(this));
-  }
+  chrome.runtime.onMessageExternal.addListener(
+      this.externalMessageHandler_.bind(this));
+  chrome.commands.onCommand.addListener(this.commandHandler_.bind(this));
+  this.altTabHandler_.addEventListeners();
   this.windowProvider_.onRemoved(this.removedHandler_.bind(this));
+  this.windowProvider_.onCreated(this.createdHandler_.bind(this));
+  this.windowProvider_.onBoundsChanged(this.boundsChangedHandler_.bind(this));
+  this.windowProvider_.onTabUpdated(this.tabUpdatedHandler_.bind(this));
+  this.windowProvider_.onTabActivated(this.tabActivatedHandler_.bind(this));
+  virtualdesktops.store.onChanged(this.settingsChangedHandler_.bind(this));
+  if (chrome.system && chrome.system.display) {
+    chrome.system.display.onDisplayChanged.addListener(
+        this.displayChangedHandler_.bind(this));
+  }
+  chrome.runtime.onStartup.addListener(this.startupHandler_.bind(this));
+  // Displays that were connected before the extension was installed don't
+  // cause any events, so remember them now.
+  chrome.runtime.onInstalled.addListener((function() {
+    this.displayChangedHandler_();
+  }).bind(this));
 };
 
 
@@ -237,22 +908,28 @@ virtualdesktops.WindowManagerService_.prototype.maximizeWindow_ =
 
 
 /**
- * Creates a new window from the current tab, and maximizes it.
+ * Creates a new window from the current tab, or the given tabs, and maximizes
+ * it.
  * @private
- * @param {number} tabId The ID of the tab.
+ * @param {!Array<number>} tabIds The IDs of the tabs, in tab order.
+ * @param {number} activeTabId The ID of the tab to make active.
  * @param {string} type The type of the window to create.
- * @param {boolean} incognito Whether the tab is incognito.
+ * @param {boolean} incognito Whether the tabs are incognito.
  * @param {function()} callback Closure to run when done.
  */
 virtualdesktops.WindowManagerService_.prototype.maximizeTab_ =
-    function(tabId, type, incognito, callback) {
+    function(tabIds, activeTabId, type, incognito, callback) {
   var createInfo = {
     type: type,
     incognito: incognito,
-    tabId: tabId,
     focused: true
   };
-  this.windowProvider_.create(createInfo, (function(win) {
+  this.virtualDesktopManager_.createWindowFromTabs(tabIds, activeTabId,
+      createInfo, (function(win) {
+    if (win == null) {
+      callback();
+      return;
+    }
     // Sorry, can't create a maximized window directly. Chrome outright doesn't
     // support this.
     var updateInfo = {
@@ -287,31 +964,110 @@ virtualdesktops.WindowManagerService_.prototype.positionWindow_ =
 
 
 /**
- * Creates a new window from the current tab, and moves and resizes it to the
- * given place in the grid.
+ * Creates a new window from the current tab, or the given tabs, and moves and
+ * resizes it to the given place in the grid.
  * @private
- * @param {number} tabId The ID of the tab.
+ * @param {!Array<number>} tabIds The IDs of the tabs, in tab order.
+ * @param {number} activeTabId The ID of the tab to make active.
  * @param {string} type The type of the window to create.
- * @param {boolean} incognito Whether the tab is incognito.
+ * @param {boolean} incognito Whether the tabs are incognito.
  * @param {number} x The 0-based x index of the leftmost grid cell to occupy.
  * @param {number} y The 0-based y index of the topmost grid cell to occupy.
  * @param {number} w The target width in grid cells.
  * @param {number} h The target height in grid cells.
- * @param {function()} callback The callback to call when done.
+ * @param {function(?ChromeWindow)} callback The callback to call when done. It
+ *     receives the created window, or null if there was no tab to create it
+ *     from.
  */
 virtualdesktops.WindowManagerService_.prototype.positionTab_ =
-    function(tabId, type, incognito, x, y, w, h, callback) {
+    function(tabIds, activeTabId, type, incognito, x, y, w, h, callback) {
   var createInfo = {
     type: type,
     incognito: incognito,
-    tabId: tabId,
     focused: true,
     left: x,
     top: y,
     width: w,
     height: h
   };
-  this.windowProvider_.create(createInfo, callback);
+  this.virtualDesktopManager_.createWindowFromTabs(tabIds, activeTabId,
+      createInfo, callback);
+};
+
+
+/**
+ * Puts a tab on the left half of the screen, and the tab that was active before
+ * it on the right half, each in a window of its own. A tab that is alone in its
+ * window already just has its window moved.
+ * @private
+ * @param {number} tabId The ID of the tab.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.WindowManagerService_.prototype.splitWithPreviousTab_ =
+    function(tabId, callback) {
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    var windowOfTab = {};
+    windows.forEach(function(w) {
+      (w.tabs || []).forEach(function(tab) {
+        windowOfTab[tab.id] = w;
+      });
+    });
+    var previousTabId = virtualdesktops.recentTabs.getPrevious(tabId,
+        function(id) {
+          return windowOfTab.hasOwnProperty(id);
+        });
+    if (!windowOfTab.hasOwnProperty(tabId) || previousTabId == null) {
+      callback();
+      return;
+    }
+
+    // Both halves are on the display the tab is on.
+    var win = windowOfTab[tabId];
+    var previousWin = windowOfTab[previousTabId];
+    virtualdesktops.displays.getWorkArea(win, (function(workArea) {
+      var left = {};
+      var right = {};
+      virtualdesktops.grid.writeFractionToMessage(0, 0, 0.5, 1, workArea,
+          left);
+      virtualdesktops.grid.writeFractionToMessage(0.5, 0, 0.5, 1, workArea,
+          right);
+      // The previous tab goes first, so the tab on the left ends up in front.
+      this.splitTab_(previousTabId, previousWin,
+          previousWin.tabs.length == 1, right, (function() {
+        // Moving the previous tab out may have left this tab alone.
+        var alone = win.tabs.length == (previousWin.id == win.id ? 2 : 1);
+        this.splitTab_(tabId, win, alone, left, callback);
+      }).bind(this));
+    }).bind(this));
+  }).bind(this));
+};
+
+
+/**
+ * Moves a tab to the given position as part of a split, in a new window unless
+ * it is alone in its window already. Either way, its window gets focused.
+ * @private
+ * @param {number} tabId The ID of the tab.
+ * @param {!ChromeWindow} win The window the tab is in.
+ * @param {boolean} alone Whether the tab is the only one in its window.
+ * @param {!Object} position The position, in 'x', 'y', 'w' and 'h'.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.WindowManagerService_.prototype.splitTab_ =
+    function(tabId, win, alone, position, callback) {
+  if (!alone) {
+    this.positionTab_([tabId], tabId, win.type, win.incognito,
+        position['x'], position['y'], position['w'], position['h'],
+        function() {
+          callback();
+        });
+    return;
+  }
+  this.positionWindow_(win.id,
+      position['x'], position['y'], position['w'], position['h'],
+      (function() {
+        this.windowProvider_.update(win.id, {focused: true}, callback);
+      }).bind(this));
 };
 
 
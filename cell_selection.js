@@ -0,0 +1,169 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+/**
+ * @fileoverview Selection of a rectangle of cells of the tiling grid in the
+ * popup, either by clicking two opposite corners or by dragging across it.
+ * @package
+ */
+goog.provide('virtualdesktops.CellSelection');
+
+
+
+/**
+ * Keeps track of the selection of a rectangle of cells. The popup forwards the
+ * clicks and mouse events on its cells to this, and highlights what
+ * getHighlight() returns.
+ * @constructor
+ */
+virtualdesktops.CellSelection = function() {
+  /**
+   * The cell clicked first, if any.
+   * @private {?virtualdesktops.CellSelection.Cell}
+   */
+  this.start_ = null;
+
+  /**
+   * The cell where the mouse button was pressed, if it is still pressed.
+   * @private {?virtualdesktops.CellSelection.Cell}
+   */
+  this.dragStart_ = null;
+
+  /**
+   * The rectangle to highlight, if any.
+   * @private {?virtualdesktops.CellSelection.Rect}
+   */
+  this.highlight_ = null;
+};
+
+
+/**
+ * A cell of the grid.
+ * @typedef {{row: number, column: number}}
+ */
+virtualdesktops.CellSelection.Cell;
+
+
+/**
+ * A rectangle of cells, in cells from the top left of the grid.
+ * @typedef {{x: number, y: number, w: number, h: number}}
+ */
+virtualdesktops.CellSelection.Rect;
+
+
+/**
+ * Finds the rectangle spanned by two cells.
+ * @private
+ * @param {!virtualdesktops.CellSelection.Cell} a One corner of the rectangle.
+ * @param {!virtualdesktops.CellSelection.Cell} b The opposite corner.
+ * @return {!virtualdesktops.CellSelection.Rect}
+ */
+virtualdesktops.CellSelection.prototype.span_ = function(a, b) {
+  return {
+    x: Math.min(a.column, b.column),
+    y: Math.min(a.row, b.row),
+    w: Math.abs(a.column - b.column) + 1,
+    h: Math.abs(a.row - b.row) + 1
+  };
+};
+
+
+/**
+ * Handles a click on a cell. This is also how key presses arrive. The first
+ * click selects one corner of the rectangle, and the second one the opposite
+ * corner.
+ * @param {!virtualdesktops.CellSelection.Cell} cell The cell clicked.
+ * @return {?virtualdesktops.CellSelection.Rect} The selected rectangle, or null
+ *     if this only was the first click.
+ */
+virtualdesktops.CellSelection.prototype.click = function(cell) {
+  if (this.start_ == null) {
+    this.start_ = cell;
+    this.highlight_ = this.span_(cell, cell);
+    return null;
+  }
+  this.highlight_ = this.span_(this.start_, cell);
+  this.start_ = null;
+  return this.highlight_;
+};
+
+
+/**
+ * Handles the mouse button being pressed on a cell, which may start a drag.
+ * @param {!virtualdesktops.CellSelection.Cell} cell The cell.
+ */
+virtualdesktops.CellSelection.prototype.press = function(cell) {
+  this.dragStart_ = cell;
+};
+
+
+/**
+ * Handles the mouse entering a cell, which extends the rectangle while
+ * dragging.
+ * @param {!virtualdesktops.CellSelection.Cell} cell The cell.
+ */
+virtualdesktops.CellSelection.prototype.enter = function(cell) {
+  if (this.dragStart_ != null) {
+    this.highlight_ = this.span_(this.dragStart_, cell);
+  }
+};
+
+
+/**
+ * Handles the mouse button being released on a cell. Releasing it on the cell
+ * where it was pressed is a click, which click() handles.
+ * @param {!virtualdesktops.CellSelection.Cell} cell The cell.
+ * @return {?virtualdesktops.CellSelection.Rect} The rectangle selected by
+ *     dragging, or null if there was no drag.
+ */
+virtualdesktops.CellSelection.prototype.release = function(cell) {
+  var dragStart = this.dragStart_;
+  this.dragStart_ = null;
+  if (dragStart == null ||
+      (dragStart.row == cell.row && dragStart.column == cell.column)) {
+    return null;
+  }
+  this.start_ = null;
+  this.highlight_ = this.span_(dragStart, cell);
+  return this.highlight_;
+};
+
+
+/**
+ * Abandons a drag that did not end on a cell, e.g. as the mouse left the grid
+ * or the button was released elsewhere. The highlight goes back to the cell
+ * clicked first, if any.
+ */
+virtualdesktops.CellSelection.prototype.cancelDrag = function() {
+  if (this.dragStart_ == null) {
+    return;
+  }
+  this.dragStart_ = null;
+  this.highlight_ = this.start_ == null ?
+      null : this.span_(this.start_, this.start_);
+};
+
+
+/**
+ * Returns the rectangle of cells to highlight.
+ * @return {?virtualdesktops.CellSelection.Rect} The rectangle, or null if no
+ *     cell is to be highlighted.
+ */
+virtualdesktops.CellSelection.prototype.getHighlight = function() {
+  return this.highlight_;
+};
@@ -0,0 +1,94 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+/**
+ * @fileoverview Unit test for CellSelection.
+ * @package
+ */
+goog.setTestOnly();
+
+goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops.CellSelection');
+
+
+/**
+ * Tests whether clicking two cells selects the rectangle they span.
+ */
+function testClick() {
+  var selection = new virtualdesktops.CellSelection();
+  assertNull(selection.getHighlight());
+  assertNull(selection.click({row: 2, column: 3}));
+  assertObjectEquals({x: 3, y: 2, w: 1, h: 1}, selection.getHighlight());
+  var rect = selection.click({row: 0, column: 1});
+  assertObjectEquals({x: 1, y: 0, w: 3, h: 3}, rect);
+  assertObjectEquals(rect, selection.getHighlight());
+}
+
+
+/**
+ * Tests whether dragging across cells selects the rectangle, and releasing the
+ * mouse button where it was pressed is left to the click.
+ */
+function testDrag() {
+  var selection = new virtualdesktops.CellSelection();
+  selection.enter({row: 1, column: 1});
+  assertNull(selection.getHighlight());
+
+  selection.press({row: 1, column: 1});
+  selection.enter({row: 1, column: 2});
+  assertObjectEquals({x: 1, y: 1, w: 2, h: 1}, selection.getHighlight());
+  selection.enter({row: 1, column: 1});
+  assertNull(selection.release({row: 1, column: 1}));
+  assertObjectEquals({x: 1, y: 1, w: 1, h: 1}, selection.getHighlight());
+
+  selection.press({row: 1, column: 1});
+  selection.enter({row: 0, column: 0});
+  assertObjectEquals({x: 0, y: 0, w: 2, h: 2},
+      selection.release({row: 0, column: 0}));
+
+  // The drag is over, so moving the mouse on changes nothing.
+  selection.enter({row: 2, column: 2});
+  assertObjectEquals({x: 0, y: 0, w: 2, h: 2}, selection.getHighlight());
+}
+
+
+/**
+ * Tests whether a drag that ends outside of the grid is abandoned, leaving the
+ * cell clicked before highlighted.
+ */
+function testCancelDrag() {
+  var selection = new virtualdesktops.CellSelection();
+  selection.click({row: 0, column: 0});
+  selection.press({row: 1, column: 1});
+  selection.enter({row: 2, column: 2});
+  selection.cancelDrag();
+  assertObjectEquals({x: 0, y: 0, w: 1, h: 1}, selection.getHighlight());
+  assertNull(selection.release({row: 2, column: 2}));
+
+  // Without a cell clicked before, nothing stays highlighted.
+  selection = new virtualdesktops.CellSelection();
+  selection.press({row: 1, column: 1});
+  selection.enter({row: 2, column: 2});
+  selection.cancelDrag();
+  assertNull(selection.getHighlight());
+
+  // Cancelling without a drag changes nothing.
+  selection.click({row: 1, column: 0});
+  selection.cancelDrag();
+  assertObjectEquals({x: 0, y: 1, w: 1, h: 1}, selection.getHighlight());
+}
@@ -21,9 +21,13 @@
  */
 goog.provide('virtualdesktops.client');
 
+goog.require('virtualdesktops.Layout');
 goog.require('virtualdesktops.RequestType');
 goog.require('virtualdesktops.WindowProvider');
+goog.require('virtualdesktops.displays');
+goog.require('virtualdesktops.grid');
 goog.require('virtualdesktops.settings');
+goog.require('virtualdesktops.tiling');
 
 
 /**
@@ -49,17 +53,9 @@ virtualdesktops.client.windowProvider_ = new virtualdesktops.WindowProvider();
  */
 virtualdesktops.client.moveCurrentWindowToGrid =
     function(x, y, w, h, callback) {
-  virtualdesktops.client.windowProvider_.getCurrent(function(win) {
-    if (win == null) {
-      return;
-    }
-    var message = {
-      'request': virtualdesktops.RequestType.MOVE_WINDOW,
-      'winId': win.id
-    };
-    virtualdesktops.client.writePositionToMessage_(x, y, w, h, message);
-    chrome.runtime.sendMessage(null, message, {}, callback);
-  });
+  virtualdesktops.client.moveCurrentWindow_(
+      virtualdesktops.client.writePositionToMessage_.bind(null, x, y, w, h),
+      callback);
 };
 
 
@@ -79,17 +75,107 @@ virtualdesktops.client.moveCurrentWindowToGrid =
  */
 virtualdesktops.client.extractCurrentTabToGrid =
     function(x, y, w, h, callback) {
-  chrome.tabs.query({'active': true, 'currentWindow': true}, function(tabs) {
-    if (!tabs || tabs.length != 1) {
+  virtualdesktops.client.extractCurrentTab_(
+      virtualdesktops.client.writePositionToMessage_.bind(null, x, y, w, h),
+      callback);
+};
+
+
+/**
+ * Moves and resizes a given window to a user-defined layout.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {!virtualdesktops.Layout} layout The layout to move the window to.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.moveCurrentWindowToLayout = function(layout, callback) {
+  virtualdesktops.client.moveCurrentWindow_(
+      virtualdesktops.client.writeLayoutToMessage_.bind(null, layout),
+      callback);
+};
+
+
+/**
+ * Extracts the current tab into a new window, and moves and resizes it to a
+ * user-defined layout.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {!virtualdesktops.Layout} layout The layout to move the tab to.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.extractCurrentTabToLayout = function(layout, callback) {
+  virtualdesktops.client.extractCurrentTab_(
+      virtualdesktops.client.writeLayoutToMessage_.bind(null, layout),
+      callback);
+};
+
+
+/**
+ * Moves and resizes the current window.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @private
+ * @param {function(!virtualdesktops.tiling.Rect, !Object)} writePosition
+ *     Function that writes the target position to the message, given the
+ *     work area of the display the window is on.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.moveCurrentWindow_ = function(writePosition, callback) {
+  virtualdesktops.client.windowProvider_.getCurrent(function(win) {
+    if (win == null) {
       return;
     }
-    var message = {
-      'request': virtualdesktops.RequestType.EXTRACT_TAB,
-      'tabId': tabs[0].id,
-      'incognito': tabs[0].incognito
-    };
-    virtualdesktops.client.writePositionToMessage_(x, y, w, h, message);
-    chrome.runtime.sendMessage(null, message, {}, callback);
+    virtualdesktops.displays.getWorkArea(win, function(workArea) {
+      var message = {
+        'request': virtualdesktops.RequestType.MOVE_WINDOW,
+        'winId': win.id
+      };
+      writePosition(workArea, message);
+      chrome.runtime.sendMessage(null, message, {}, callback);
+    });
+  });
+};
+
+
+/**
+ * Extracts the current tab into a new window, and moves and resizes it. If
+ * several tabs are selected, they are all gathered into the new window.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @private
+ * @param {function(!virtualdesktops.tiling.Rect, !Object)} writePosition
+ *     Function that writes the target position to the message, given the
+ *     work area of the display the tab's window is on.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.extractCurrentTab_ = function(writePosition, callback) {
+  // Selected tabs are highlighted, and so is the active tab.
+  var query = {'highlighted': true, 'currentWindow': true};
+  chrome.tabs.query(query, function(tabs) {
+    if (!tabs || tabs.length == 0) {
+      return;
+    }
+    tabs.sort(function(a, b) {
+      return a.index - b.index;
+    });
+    var activeTab = tabs.filter(function(tab) {
+      return tab.active;
+    })[0] || tabs[0];
+    virtualdesktops.client.windowProvider_.get(activeTab.windowId,
+        function(win) {
+          virtualdesktops.displays.getWorkArea(win, function(workArea) {
+            var message = {
+              'request': virtualdesktops.RequestType.EXTRACT_TAB,
+              'tabId': activeTab.id,
+              'tabIds': tabs.map(function(tab) {
+                return tab.id;
+              }),
+              'incognito': activeTab.incognito
+            };
+            writePosition(workArea, message);
+            chrome.runtime.sendMessage(null, message, {}, callback);
+          });
+        });
   });
 };
 
@@ -106,32 +192,43 @@ virtualdesktops.client.extractCurrentTabToGrid =
  *     Callers must ensure 0 < w <= settings.getColumns() - x.
  * @param {number} h The target height in grid cells.
  *     Callers must ensure 0 < h <= settings.getRows() - y.
+ * @param {!virtualdesktops.tiling.Rect} workArea The work area of the display
+ *     to position on.
  * @param {!Object} message The client-server message to write the calculated
  *     position to.
  */
-virtualdesktops.client.writePositionToMessage_ = function(x, y, w, h, message) {
+virtualdesktops.client.writePositionToMessage_ =
+    function(x, y, w, h, workArea, message) {
   if (x == 0 && y == 0 &&
       w == virtualdesktops.settings.getColumns() &&
       h == virtualdesktops.settings.getRows()) {
     message['fullscreen'] = true;
   } else {
-    var xmin = Math.round(screen.availLeft +
-        x * screen.availWidth / virtualdesktops.settings.getColumns());
-    var xmax = Math.round(screen.availLeft +
-        (x + w) *
-        screen.availWidth / virtualdesktops.settings.getColumns());
-    var ymin = Math.round(screen.availTop +
-        y * screen.availHeight / virtualdesktops.settings.getRows());
-    var ymax = Math.round(screen.availTop +
-        (y + h) * screen.availHeight / virtualdesktops.settings.getRows());
-    message['x'] = xmin;
-    message['y'] = ymin;
-    message['w'] = xmax - xmin;
-    message['h'] = ymax - ymin;
+    var columns = virtualdesktops.settings.getColumns();
+    var rows = virtualdesktops.settings.getRows();
+    virtualdesktops.grid.writeFractionToMessage(
+        x / columns, y / rows, w / columns, h / rows, workArea, message);
   }
 };
 
 
+/**
+ * Calculates pixel positions from the given layout, and writes them into a
+ * given message object.
+ * @private
+ * @param {!virtualdesktops.Layout} layout The layout to position to.
+ * @param {!virtualdesktops.tiling.Rect} workArea The work area of the display
+ *     to position on.
+ * @param {!Object} message The client-server message to write the calculated
+ *     position to.
+ */
+virtualdesktops.client.writeLayoutToMessage_ =
+    function(layout, workArea, message) {
+  virtualdesktops.grid.writeFractionToMessage(layout.x / 100, layout.y / 100,
+      layout.w / 100, layout.h / 100, workArea, message);
+};
+
+
 /**
  * Switches to the next virtual desktop.
  * This sends a message to the window manager service running on the
@@ -208,3 +305,340 @@ virtualdesktops.client.currentToPreviousDesktop = function(callback) {
     }, {}, callback);
   });
 };
+
+
+/**
+ * Switches to the given virtual desktop.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {number} desktop The 0-based number of the desktop to switch to.
+ *     Callers must ensure 0 <= desktop < settings.getDesktops().
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.switchToDesktop = function(desktop, callback) {
+  virtualdesktops.client.windowProvider_.getLastFocused(function(win) {
+    if (win == null) {
+      return;
+    }
+    chrome.runtime.sendMessage(null, {
+      'request': virtualdesktops.RequestType.SWITCH_TO_DESKTOP,
+      'winId': win.id,
+      'desktop': desktop
+    }, {}, callback);
+  });
+};
+
+
+/**
+ * Switches to the given virtual desktop, sending the currently focused window
+ * there.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {number} desktop The 0-based number of the desktop to switch to.
+ *     Callers must ensure 0 <= desktop < settings.getDesktops().
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.currentToDesktop = function(desktop, callback) {
+  virtualdesktops.client.windowProvider_.getCurrent(function(win) {
+    if (win == null) {
+      return;
+    }
+    chrome.runtime.sendMessage(null, {
+      'request': virtualdesktops.RequestType.SEND_TO_DESKTOP,
+      'winId': win.id,
+      'desktop': desktop
+    }, {}, callback);
+  });
+};
+
+
+/**
+ * Puts the current tab on the left half of the screen, and the tab that was
+ * active before it on the right half.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.splitWithPreviousTab = function(callback) {
+  chrome.tabs.query({'active': true, 'currentWindow': true}, function(tabs) {
+    if (!tabs || tabs.length != 1) {
+      return;
+    }
+    chrome.runtime.sendMessage(null, {
+      'request': virtualdesktops.RequestType.SPLIT_WITH_PREVIOUS_TAB,
+      'tabId': tabs[0].id
+    }, {}, callback);
+  });
+};
+
+
+/**
+ * Sends the current tab to the given virtual desktop without switching there.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {number} desktop The 0-based number of the desktop to send it to.
+ *     Callers must ensure 0 <= desktop < settings.getDesktops().
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.sendCurrentTabToDesktop = function(desktop, callback) {
+  chrome.tabs.query({'active': true, 'currentWindow': true}, function(tabs) {
+    if (!tabs || tabs.length != 1) {
+      return;
+    }
+    chrome.runtime.sendMessage(null, {
+      'request': virtualdesktops.RequestType.SEND_TAB_TO_DESKTOP,
+      'tabId': tabs[0].id,
+      'desktop': desktop
+    }, {}, callback);
+  });
+};
+
+
+/**
+ * Queries which windows are on which virtual desktop.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {function(*)} callback The callback that receives the overview, as
+ *     described in the background page's getOverview_.
+ */
+virtualdesktops.client.getOverview = function(callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.GET_OVERVIEW
+  }, {}, function(response) {
+    if (response == null || !response['success']) {
+      return;
+    }
+    callback(response['result']);
+  });
+};
+
+
+/**
+ * Switches to the virtual desktop a given window is on, and focuses it.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {number} winId The ID of the window to focus.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.focusWindow = function(winId, callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.FOCUS_WINDOW,
+    'winId': winId
+  }, {}, callback);
+};
+
+
+/**
+ * Sends a given window to a virtual desktop, without switching there.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {number} winId The ID of the window to send.
+ * @param {number} desktop The 0-based number of the desktop to send it to.
+ *     Callers must ensure 0 <= desktop < settings.getDesktops().
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.sendWindowToDesktop =
+    function(winId, desktop, callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.SEND_WINDOW_TO_DESKTOP,
+    'winId': winId,
+    'desktop': desktop
+  }, {}, callback);
+};
+
+
+/**
+ * Moves all windows of a virtual desktop to another one.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {number} from The 0-based number of the desktop to empty.
+ * @param {number} to The 0-based number of the desktop to move the windows to.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.moveDesktopWindows = function(from, to, callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.MOVE_DESKTOP_WINDOWS,
+    'from': from,
+    'to': to
+  }, {}, callback);
+};
+
+
+/**
+ * Swaps the windows, names and accent colors of two virtual desktops.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {number} desktop The 0-based number of one desktop.
+ * @param {number} otherDesktop The 0-based number of the other desktop.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.swapDesktops =
+    function(desktop, otherDesktop, callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.SWAP_DESKTOPS,
+    'desktop': desktop,
+    'otherDesktop': otherDesktop
+  }, {}, callback);
+};
+
+
+/**
+ * Inserts an empty virtual desktop, shifting the following ones.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {number} desktop The 0-based number of the new desktop.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.insertDesktop = function(desktop, callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.INSERT_DESKTOP,
+    'desktop': desktop
+  }, {}, callback);
+};
+
+
+/**
+ * Deletes a virtual desktop, moving its windows to the previous one and
+ * shifting the following ones.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {number} desktop The 0-based number of the desktop to delete.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.deleteDesktop = function(desktop, callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.DELETE_DESKTOP,
+    'desktop': desktop
+  }, {}, callback);
+};
+
+
+/**
+ * Makes a given window sticky, i.e. shown on all virtual desktops, or puts it
+ * back on the current desktop only.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {number} winId The ID of the window.
+ * @param {boolean} sticky Whether the window shall be sticky.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.setWindowSticky = function(winId, sticky, callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.SET_WINDOW_STICKY,
+    'winId': winId,
+    'sticky': sticky
+  }, {}, callback);
+};
+
+
+/**
+ * Tiles all windows on the current virtual desktop.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {virtualdesktops.tiling.Mode} mode How to arrange the windows.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.arrangeDesktop = function(mode, callback) {
+  virtualdesktops.client.windowProvider_.getLastFocused(function(win) {
+    if (win == null) {
+      return;
+    }
+    chrome.runtime.sendMessage(null, {
+      'request': virtualdesktops.RequestType.ARRANGE_DESKTOP,
+      'winId': win.id,
+      'mode': mode
+    }, {}, callback);
+  });
+};
+
+
+/**
+ * Undoes the most recent window management operation.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.undo = function(callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.UNDO
+  }, {}, callback);
+};
+
+
+/**
+ * Redoes the most recently undone window management operation.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.redo = function(callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.REDO
+  }, {}, callback);
+};
+
+
+/**
+ * Records all windows and their desktops in a named session snapshot.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {string} name The name of the snapshot. An existing snapshot of the
+ *     same name is replaced.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.saveSnapshot = function(name, callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.SAVE_SNAPSHOT,
+    'name': name
+  }, {}, callback);
+};
+
+
+/**
+ * Recreates the windows of a session snapshot on their desktops.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {string} name The name of the snapshot.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.restoreSnapshot = function(name, callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.RESTORE_SNAPSHOT,
+    'name': name
+  }, {}, callback);
+};
+
+
+/**
+ * Deletes a session snapshot.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {string} name The name of the snapshot.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.client.deleteSnapshot = function(name, callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.DELETE_SNAPSHOT,
+    'name': name
+  }, {}, callback);
+};
+
+
+/**
+ * Lists the session snapshots.
+ * This sends a message to the window manager service running on the
+ * persistent background page.
+ * @param {function(*)} callback The callback that receives the list of
+ *     snapshots. Each is described by an object with 'name', 'created' and
+ *     'windowCount'.
+ */
+virtualdesktops.client.listSnapshots = function(callback) {
+  chrome.runtime.sendMessage(null, {
+    'request': virtualdesktops.RequestType.LIST_SNAPSHOTS
+  }, {}, function(response) {
+    if (response == null || !response['success']) {
+      return;
+    }
+    callback(response['result']);
+  });
+};
@@ -21,32 +21,28 @@
  * Creates the table of buttons, and its event handlers.
  */
 goog.require('virtualdesktops');
+goog.require('virtualdesktops.CellSelection');
+goog.require('virtualdesktops.Layout');
 goog.require('virtualdesktops.client');
+goog.require('virtualdesktops.popupKeys');
 goog.require('virtualdesktops.settings');
+goog.require('virtualdesktops.store');
+goog.require('virtualdesktops.tiling');
 
 
 /**
- * Map from coordinates to keyboard positions, so that KEY_BY_POS[row][col]
- * identifies keys on a rectangle on the keyboard.
- * TODO(rpolzer): Turn into settings, as this is layout dependent.
- * @const {!Array<string>}
+ * Number of layout buttons to show side by side.
+ * @const {number}
  */
-var KEYCODE_BY_POS = [
-  [81, 87, 69, 82, 84, 89, 85, 73, 79, 80],
-  [65, 83, 68, 70, 71, 72, 74, 75, 76, 186],
-  [90, 88, 67, 86, 66, 78, 77, 188, 190, 191]
-];
+var LAYOUTS_PER_ROW = 4;
 
 
 /**
- * Map from coordinates to key caps, as printed on Chromebook keyboards.
- * Matches KEYCODE_BY_POS in indexes.
+ * The drag and drop data type of the number of a desktop dragged in the
+ * overview. Windows are dragged as text/plain.
+ * @const {string}
  */
-var KEYCAP_BY_POS = [
-  'qwertyuiop',
-  'asdfghjkl;',
-  'zxcvbnm,./'
-];
+var DESKTOP_DRAG_TYPE = 'application/x-virtualdesktops-desktop';
 
 
 /**
@@ -212,6 +208,17 @@ function hasModifiers(event) {
 }
 
 
+/**
+ * Counts the modifiers pressed in a given event.
+ * @param {!Event} event The event received.
+ * @return {number} The number of modifiers pressed.
+ */
+function modifierCount(event) {
+  return [event.shiftKey, event.altKey, event.metaKey, event.ctrlKey].filter(
+      Boolean).length;
+}
+
+
 /**
  * Handles click events on size buttons.
  * If a modifier is held, the current tab will be moved to the destination;
@@ -231,6 +238,25 @@ function sizeButtonClicked(x, y, w, h, event) {
 }
 
 
+/**
+ * Handles click events on desktop number buttons.
+ * If a modifier is held, the current window will be sent to the desktop; if
+ * two or more are held, only the current tab is sent there, and we stay on the
+ * current desktop. Otherwise, we just switch to it.
+ * @param {number} desktop The 0-based number of the desktop to go to.
+ * @param {!Event} event The click event.
+ */
+function desktopButtonClicked(desktop, event) {
+  if (modifierCount(event) >= 2) {
+    virtualdesktops.client.sendCurrentTabToDesktop(desktop, closeWhenDone);
+  } else if (hasModifiers(event)) {
+    virtualdesktops.client.currentToDesktop(desktop, closeWhenDone);
+  } else {
+    virtualdesktops.client.switchToDesktop(desktop, closeWhenDone);
+  }
+}
+
+
 /**
  * Adds a HTML button to a table row that will resize the current window.
  * @private
@@ -269,6 +295,169 @@ function createSizeButton(r, text, title, keydown, x, y, w, h) {
 }
 
 
+/**
+ * Handles click events on layout buttons.
+ * If a modifier is held, the current tab will be moved to the layout;
+ * otherwise, the current window will.
+ * @param {!virtualdesktops.Layout} layout The layout to move to.
+ * @param {!Event} event The click event.
+ */
+function layoutButtonClicked(layout, event) {
+  if (hasModifiers(event)) {
+    virtualdesktops.client.extractCurrentTabToLayout(layout, closeWhenDone);
+  } else {
+    virtualdesktops.client.moveCurrentWindowToLayout(layout, closeWhenDone);
+  }
+}
+
+
+/**
+ * Adds a HTML button to a table row that will move the current window to a
+ * user-defined layout. Like the size buttons, it previews the layout.
+ * The layout's key only selects it if no other button of the popup uses it.
+ * @private
+ * @param {!Element} r Table row to add to.
+ * @param {!virtualdesktops.Layout} layout The layout.
+ * @return {!Element} Table data cell containing the button.
+ */
+function createLayoutButton(r, layout) {
+  var key = layout.key;
+  if (virtualdesktops.popupKeys.getBoundKeyCaps().indexOf(key) >= 0) {
+    key = '';
+  }
+  var keydown = key == '' ? null : key.toUpperCase().charCodeAt(0).toString();
+  var c = createButton(r, 'size', (key + ' ' + layout.name).trim(),
+      layout.name, keydown, layoutButtonClicked.bind(null, layout));
+  var b = c.querySelector('button');
+  var border = virtualdesktops.WINDOW_SIZE_BORDER / 100;
+  b.style.paddingLeft = (border * layout.x) + 'px';
+  b.style.paddingRight = (border * (100 - layout.x - layout.w)) + 'px';
+  b.style.paddingTop = (border * layout.y) + 'px';
+  b.style.paddingBottom = (border * (100 - layout.y - layout.h)) + 'px';
+  return c;
+}
+
+
+/**
+ * Buttons of the cell grid, indexed by row and column. Only used if the grid
+ * is too large for a button per position and size.
+ * @private {!Array<!Array<!Element>>}
+ */
+var gridCells_ = [];
+
+
+/**
+ * The selection of a rectangle of cells of the cell grid.
+ * @private {!virtualdesktops.CellSelection}
+ */
+var cellSelection_ = new virtualdesktops.CellSelection();
+
+
+/**
+ * Highlights the cells of the cell grid in the rectangle the cell selection
+ * returns.
+ * @private
+ */
+function highlightCells() {
+  var rect = cellSelection_.getHighlight();
+  for (var i = 0; i < gridCells_.length; ++i) {
+    for (var j = 0; j < gridCells_[i].length; ++j) {
+      var selected = rect != null &&
+          i >= rect.y && i < rect.y + rect.h &&
+          j >= rect.x && j < rect.x + rect.w;
+      gridCells_[i][j].classList.toggle('selected', selected);
+    }
+  }
+}
+
+
+/**
+ * Highlights the cells the cell selection returns, and if a rectangle has been
+ * selected, moves the current window (or tab, if a modifier is held) there.
+ * @private
+ * @param {?virtualdesktops.CellSelection.Rect} rect The selected rectangle, if
+ *     any.
+ * @param {!Event} event The event that completed the selection.
+ */
+function cellsSelected(rect, event) {
+  highlightCells();
+  if (rect != null) {
+    sizeButtonClicked(rect.x, rect.y, rect.w, rect.h, event);
+  }
+}
+
+
+/**
+ * Abandons a drag across the cell grid that did not end on a cell.
+ * @private
+ */
+function cancelCellDrag() {
+  cellSelection_.cancelDrag();
+  highlightCells();
+}
+
+
+/**
+ * Adds a HTML button to a table row that represents a cell of the cell grid.
+ * Besides clicking two cells, the user can drag across the cells to select the
+ * rectangle to move the window to.
+ * @private
+ * @param {!Element} r Table row to add to.
+ * @param {number} row The 0-based row of the cell.
+ * @param {number} column The 0-based column of the cell.
+ * @return {!Element} Table data cell containing the button.
+ */
+function createCellButton(r, row, column) {
+  var cell = {row: row, column: column};
+  var key = virtualdesktops.popupKeys.keyForCell(row, column);
+  var keyCap = virtualdesktops.popupKeys.KEYCAP_BY_POS[key.row][key.column];
+  var keydown =
+      virtualdesktops.popupKeys.KEYCODE_BY_POS[key.row][key.column].toString();
+  var c = createButton(r, 'cell', keyCap,
+      'Cell ' + (column + 1) + ',' + (row + 1) +
+      ' (select two cells, or drag across cells)',
+      keydown, function(event) {
+        cellsSelected(cellSelection_.click(cell), event);
+      });
+  var b = c.querySelector('button');
+  b.addEventListener('mousedown', function() {
+    cellSelection_.press(cell);
+  }, false);
+  b.addEventListener('mouseover', function() {
+    cellSelection_.enter(cell);
+    highlightCells();
+  }, false);
+  b.addEventListener('mouseup', function(event) {
+    cellsSelected(cellSelection_.release(cell), event);
+  }, false);
+  gridCells_[row][column] = b;
+  return c;
+}
+
+
+/**
+ * Creates the cell grid, which is used instead of a button per position and
+ * size when there are too many of those for the keyboard.
+ * @private
+ * @return {!Element} The table containing the cell grid.
+ */
+function createCellGrid() {
+  gridCells_ = [];
+  cellSelection_ = new virtualdesktops.CellSelection();
+  var t = document.createElement('table');
+  t.addEventListener('mouseleave', cancelCellDrag, false);
+  for (var i = 0; i < virtualdesktops.settings.getRows(); ++i) {
+    var r = document.createElement('tr');
+    gridCells_.push([]);
+    for (var j = 0; j < virtualdesktops.settings.getColumns(); ++j) {
+      r.appendChild(createCellButton(r, i, j));
+    }
+    t.appendChild(r);
+  }
+  return t;
+}
+
+
 /**
  * Handles key down events.
  * @private
@@ -289,6 +478,169 @@ function gotKeyDown(event) {
 }
 
 
+/**
+ * Renders the overview of all desktops into a given element, replacing its
+ * previous content.
+ * Each desktop is shown as a card listing its windows. Clicking a window goes
+ * to it, and dragging a window onto another desktop's card sends it there.
+ * Each window has a pin button to show it on all desktops. Dragging a desktop's
+ * name onto another desktop's card moves all its windows there, or swaps both
+ * desktops if Shift is held. Buttons next to the name insert and delete
+ * desktops.
+ * @private
+ * @param {!Element} overviewElement The element to render into.
+ * @param {*} overview The overview as received from the background page.
+ */
+function renderOverview(overviewElement, overview) {
+  if (overview == null) {
+    return;
+  }
+  while (overviewElement.firstChild) {
+    overviewElement.removeChild(overviewElement.firstChild);
+  }
+  var rerender = function() {
+    virtualdesktops.client.getOverview(
+        renderOverview.bind(null, overviewElement));
+  };
+  var desktops = overview['desktops'];
+  for (var d = 0; d < desktops.length; ++d) {
+    var card = document.createElement('div');
+    card.classList.add('desktop-card');
+    if (d == overview['currentDesktop']) {
+      card.classList.add('current');
+    }
+    card.style.borderColor = virtualdesktops.settings.getDesktopColor(d);
+    var heading = document.createElement('div');
+    heading.classList.add('desktop-name');
+    heading.textContent = virtualdesktops.settings.getDesktopName(d);
+    // If desktops are switched per display, mention the displays showing it.
+    var displays = [];
+    var displayDesktops = overview['displayDesktops'] || [];
+    for (var i = 0; i < displayDesktops.length; ++i) {
+      if (displayDesktops[i] == d) {
+        displays.push(i + 1);
+      }
+    }
+    if (displayDesktops.length > 1 && displays.length > 0) {
+      card.classList.add('current');
+      heading.textContent += ' (display ' + displays.join(', ') + ')';
+    }
+    heading.draggable = true;
+    heading.title = 'Drag onto another desktop to move all windows there, ' +
+        'or with Shift to swap both desktops';
+    heading.addEventListener('dragstart', (function(desktop, event) {
+      event.dataTransfer.setData(DESKTOP_DRAG_TYPE, desktop.toString());
+    }).bind(null, d), false);
+    heading.appendChild(createDesktopAction('\u00D7',
+        'Delete this desktop, moving its windows to the previous one',
+        virtualdesktops.client.deleteDesktop.bind(null, d, rerender)));
+    heading.appendChild(createDesktopAction('+',
+        'Insert a desktop before this one',
+        virtualdesktops.client.insertDesktop.bind(null, d, rerender)));
+    card.appendChild(heading);
+
+    var windows = desktops[d];
+    for (var i = 0; i < windows.length; ++i) {
+      card.appendChild(createWindowCard(windows[i], overviewElement));
+    }
+
+    card.addEventListener('dragover', function(event) {
+      event.preventDefault();
+    }, false);
+    card.addEventListener('drop', (function(desktop, event) {
+      event.preventDefault();
+      var from = parseInt(event.dataTransfer.getData(DESKTOP_DRAG_TYPE), 10);
+      if (!isNaN(from)) {
+        if (from == desktop) {
+          return;
+        }
+        if (event.shiftKey) {
+          virtualdesktops.client.swapDesktops(from, desktop, rerender);
+        } else {
+          virtualdesktops.client.moveDesktopWindows(from, desktop, rerender);
+        }
+        return;
+      }
+      var winId = parseInt(event.dataTransfer.getData('text/plain'), 10);
+      if (isNaN(winId)) {
+        return;
+      }
+      virtualdesktops.client.sendWindowToDesktop(winId, desktop, rerender);
+    }).bind(null, d), false);
+    overviewElement.appendChild(card);
+  }
+}
+
+
+/**
+ * Creates a button next to the name of a desktop in the overview.
+ * @private
+ * @param {string} text The text of the button.
+ * @param {string} title The tooltip of the button.
+ * @param {function()} action The function to call when clicked.
+ * @return {!Element} The button.
+ */
+function createDesktopAction(text, title, action) {
+  var b = document.createElement('button');
+  b.classList.add('desktop-action');
+  b.textContent = text;
+  b.title = title;
+  b.addEventListener('click', action, false);
+  return b;
+}
+
+
+/**
+ * Creates the card representing a window in the overview.
+ * @private
+ * @param {*} win The window description as received from the background page.
+ * @param {!Element} overviewElement The element the overview is rendered in,
+ *     to render it again when the window changes.
+ * @return {!Element} The window card.
+ */
+function createWindowCard(win, overviewElement) {
+  var card = document.createElement('div');
+  card.classList.add('window-card');
+  if (win['state'] == 'minimized') {
+    card.classList.add('minimized');
+  }
+  card.draggable = true;
+  card.title = win['title'];
+
+  // A toggle to show the window on all desktops.
+  var pin = document.createElement('button');
+  pin.classList.add('pin');
+  if (win['sticky']) {
+    card.classList.add('sticky');
+    pin.classList.add('pinned');
+    pin.title = 'Show on this desktop only';
+  } else {
+    pin.title = 'Show on all desktops';
+  }
+  pin.textContent = '\uD83D\uDCCC';
+  pin.addEventListener('click', function(event) {
+    // Don't focus the window as clicking the card would.
+    event.stopPropagation();
+    virtualdesktops.client.setWindowSticky(win['winId'], !win['sticky'],
+        function() {
+          virtualdesktops.client.getOverview(
+              renderOverview.bind(null, overviewElement));
+        });
+  }, false);
+  card.appendChild(pin);
+
+  card.appendChild(document.createTextNode(win['title'] + ' (' +
+      win['tabCount'] + (win['tabCount'] == 1 ? ' tab)' : ' tabs)')));
+  card.addEventListener('click', function() {
+    virtualdesktops.client.focusWindow(win['winId'], closeWhenDone);
+  }, false);
+  card.addEventListener('dragstart', function(event) {
+    event.dataTransfer.setData('text/plain', win['winId'].toString());
+  }, false);
+  return card;
+}
+
+
 /**
  * Creates the button tables.
  * @private
@@ -300,25 +652,98 @@ function createTables() {
     var p = document.createElement('p');
     p.appendChild(document.createTextNode('Move/resize:'));
     container.appendChild(p);
-    var t = document.createElement('table');
 
     var icount = mapGroupIndexCount(virtualdesktops.settings.getRows());
     var jcount = mapGroupIndexCount(virtualdesktops.settings.getColumns());
 
-    for (var i = 0; i < icount; ++i) {
-      var y = rowFor(i);
-      var h = heightFor(i);
-      var r = document.createElement('tr');
-      for (var j = 0; j < jcount; ++j) {
-        var x = columnFor(j);
-        var w = widthFor(j);
-        var text = w + 'x' + h + '+' + x + '+' + y;
-        var keyCap = KEYCAP_BY_POS[i][j];
-        var keyCode = KEYCODE_BY_POS[i][j];
-        r.appendChild(createSizeButton(r, keyCap, text, keyCode, x, y, w, h));
+    if (virtualdesktops.popupKeys.usesCellGrid()) {
+      // Not enough keys for a button per position and size. Let the user
+      // select the start and end cell instead.
+      container.appendChild(createCellGrid());
+    } else {
+      var t = document.createElement('table');
+      for (var i = 0; i < icount; ++i) {
+        var y = rowFor(i);
+        var h = heightFor(i);
+        var r = document.createElement('tr');
+        for (var j = 0; j < jcount; ++j) {
+          var x = columnFor(j);
+          var w = widthFor(j);
+          var text = w + 'x' + h + '+' + x + '+' + y;
+          var keyCap = virtualdesktops.popupKeys.KEYCAP_BY_POS[i][j];
+          var keyCode = virtualdesktops.popupKeys.KEYCODE_BY_POS[i][j];
+          r.appendChild(
+              createSizeButton(r, keyCap, text, keyCode, x, y, w, h));
+        }
+
+        t.appendChild(r);
       }
+      container.appendChild(t);
+    }
+  }
 
-      t.appendChild(r);
+  var p = document.createElement('p');
+  p.appendChild(document.createTextNode('Arrange all windows:'));
+  container.appendChild(p);
+  var t = document.createElement('table');
+  var r = document.createElement('tr');
+  var modes = virtualdesktops.tiling.Mode;
+  r.appendChild(createButton(r, 'arrange', '[', 'Side by side', '219',
+      virtualdesktops.client.arrangeDesktop.bind(
+          null, modes.COLUMNS, closeWhenDone)));
+  r.appendChild(createButton(r, 'arrange', ']', 'On top of each other',
+      '221', virtualdesktops.client.arrangeDesktop.bind(
+          null, modes.ROWS, closeWhenDone)));
+  r.appendChild(createButton(r, 'arrange', '\\',
+      'Current window left, others stacked right', '220',
+      virtualdesktops.client.arrangeDesktop.bind(
+          null, modes.MASTER_STACK, closeWhenDone)));
+  r.appendChild(createButton(r, 'arrange', '\'', 'Grid', '222',
+      virtualdesktops.client.arrangeDesktop.bind(
+          null, modes.GRID, closeWhenDone)));
+  t.appendChild(r);
+  container.appendChild(t);
+
+  p = document.createElement('p');
+  p.appendChild(document.createTextNode('Split tabs:'));
+  container.appendChild(p);
+  t = document.createElement('table');
+  r = document.createElement('tr');
+  r.appendChild(createButton(r, 'split', '-',
+      'Current tab left, previously active tab right', '189',
+      virtualdesktops.client.splitWithPreviousTab.bind(null, closeWhenDone)));
+  t.appendChild(r);
+  container.appendChild(t);
+
+  p = document.createElement('p');
+  p.appendChild(document.createTextNode('History:'));
+  container.appendChild(p);
+  t = document.createElement('table');
+  r = document.createElement('tr');
+  r.appendChild(createButton(r, 'history', '\u232B', 'Undo', '8 false',
+      virtualdesktops.client.undo.bind(null, closeWhenDone)));
+  r.appendChild(createButton(r, 'history', 'C-\u232B', 'Redo', '8 true',
+      virtualdesktops.client.redo.bind(null, closeWhenDone)));
+  t.appendChild(r);
+  container.appendChild(t);
+
+  var layouts = virtualdesktops.settings.getLayouts();
+  if (layouts.length > 0) {
+    var p = document.createElement('p');
+    p.appendChild(document.createTextNode('Layouts:'));
+    container.appendChild(p);
+    var t = document.createElement('table');
+    var r = null;
+    for (var i = 0; i < layouts.length; ++i) {
+      if (i % LAYOUTS_PER_ROW == 0) {
+        r = document.createElement('tr');
+        t.appendChild(r);
+      }
+      r.appendChild(createLayoutButton(r, layouts[i]));
+    }
+    // Pad the last row, as the table layout is fixed.
+    for (; i % LAYOUTS_PER_ROW != 0; ++i) {
+      r.appendChild(document.createElement('td'));
     }
     container.appendChild(t);
   }
@@ -343,9 +768,60 @@ function createTables() {
             null, closeWhenDone)));
     t.appendChild(r);
     container.appendChild(t);
+
+    // The desktop number buttons go into their own table, as the table layout
+    // is fixed and thus assumes that every row has the same number of cells.
+    t = document.createElement('table');
+    r = document.createElement('tr');
+    for (var d = 0; d < virtualdesktops.settings.getDesktops(); ++d) {
+      var keyCode = virtualdesktops.popupKeys.KEYCODE_BY_DESKTOP[d];
+      var keyCap = String.fromCharCode(keyCode);
+      var name = virtualdesktops.settings.getDesktopName(d);
+      var c = createButton(r, 'desktop', keyCap + ' ' + name,
+          'Go to ' + name + ' (with modifier: send window to it, with two ' +
+          'modifiers: send tab to it)',
+          keyCode.toString(),
+          desktopButtonClicked.bind(null, d));
+      c.querySelector('button > span').style.borderBottomColor =
+          virtualdesktops.settings.getDesktopColor(d);
+      r.appendChild(c);
+    }
+    t.appendChild(r);
+    container.appendChild(t);
+
+    p = document.createElement('p');
+    p.appendChild(document.createTextNode('Overview:'));
+    container.appendChild(p);
+    var overviewElement = document.createElement('div');
+    overviewElement.classList.add('overview');
+    container.appendChild(overviewElement);
+    virtualdesktops.client.getOverview(
+        renderOverview.bind(null, overviewElement));
   }
+}
 
-  container.addEventListener('keydown', gotKeyDown, true);
+
+/**
+ * Loads the settings and creates the button tables. The tables are recreated
+ * whenever the settings change, e.g. on the options page or on another device.
+ * @private
+ */
+function init() {
+  virtualdesktops.store.init(function() {
+    createTables();
+    document.body.addEventListener('keydown', gotKeyDown, true);
+    // Releasing the mouse button on a cell ends a drag before this sees it.
+    document.addEventListener('mouseup', cancelCellDrag, false);
+    virtualdesktops.store.onChanged(function(area) {
+      if (area != virtualdesktops.store.Area.SYNC) {
+        return;
+      }
+      while (document.body.firstChild) {
+        document.body.removeChild(document.body.firstChild);
+      }
+      createTables();
+    });
+  });
 }
 
-document.addEventListener('DOMContentLoaded', createTables);
+document.addEventListener('DOMContentLoaded', init);
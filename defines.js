@@ -30,15 +30,21 @@ virtualdesktops.DISALLOW_EMPTY_DESKTOPS = true;
 
 
 /**
- * @define {boolean}
- * Handle Alt-Tab (window switching) by always going to the just-activated
- * window.
- * TODO(rpolzer): ChromeOS changes position and size of the window when
- * alt-tabbing a minimized window in. Workaround that? Also, ChromeOS
- * immediately focuses windows during alt-tabbing, which also needs a
- * workaround.
+ * @define {number}
+ * Delay after which changes to the windows made by the user, e.g. moving a
+ * window by hand, are persisted. Further changes within this time restart it,
+ * so dragging a window around doesn't write the state many times.
+ */
+virtualdesktops.SAVE_STATE_DELAY_MS = 1000;
+
+
+/**
+ * @define {number}
+ * Time for which focus must stay on a window before a focus change, e.g. via
+ * Alt-Tab, is acted upon. ChromeOS focuses each window passed while
+ * alt-tabbing, and these intermediate windows shall not be acted upon.
  */
-virtualdesktops.HANDLE_ALT_TAB = false;
+virtualdesktops.ALT_TAB_SETTLE_MS = 300;
 
 
 /**
@@ -81,3 +87,11 @@ virtualdesktops.WINDOW_MANAGER_TOLERANCE = 64;
  * x / 100.0 * WINDOW_SIZE_BORDER.
  */
 virtualdesktops.WINDOW_SIZE_BORDER = 16;
+
+
+/**
+ * @define {number}
+ * Fraction of the screen width the main window takes when arranging a desktop
+ * in master/stack mode.
+ */
+virtualdesktops.MASTER_STACK_FRACTION = 0.6;
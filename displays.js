@@ -0,0 +1,212 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Functions to find out which display windows are on.
+ * @package
+ */
+goog.provide('virtualdesktops.displays');
+
+goog.require('virtualdesktops.tiling');
+
+
+/**
+ * A display, as far as window placement is concerned.
+ * @typedef {{
+ *   id: string,
+ *   workArea: !virtualdesktops.tiling.Rect
+ * }} */
+virtualdesktops.displays.Display;
+
+
+/**
+ * The displays last reported by Chrome, if it ever reported any.
+ * @private {!Array<!virtualdesktops.displays.Display>}
+ */
+virtualdesktops.displays.knownDisplays_ = [];
+
+
+/**
+ * The work area used if neither a display nor the window is known.
+ * @const {!virtualdesktops.tiling.Rect}
+ * @private
+ */
+virtualdesktops.displays.FALLBACK_WORK_AREA_ =
+    {left: 0, top: 0, width: 1024, height: 768};
+
+
+/**
+ * Queries all displays, ordered from left to right, then top to bottom.
+ * Just forwarded to the chrome.system.display API. If that API is not
+ * available, the screen this page is on is returned as the only display.
+ * @param {function(!Array<!virtualdesktops.displays.Display>)} callback The
+ *     callback that receives the displays.
+ */
+virtualdesktops.displays.getDisplays = function(callback) {
+  if (!chrome.system || !chrome.system.display) {
+    callback([{
+      id: '',
+      workArea: {
+        left: screen.availLeft,
+        top: screen.availTop,
+        width: screen.availWidth,
+        height: screen.availHeight
+      }
+    }]);
+    return;
+  }
+  chrome.system.display.getInfo(function(infos) {
+    var displays = infos.map(function(info) {
+      return {
+        id: info.id,
+        workArea: {
+          left: info.workArea.left,
+          top: info.workArea.top,
+          width: info.workArea.width,
+          height: info.workArea.height
+        }
+      };
+    });
+    displays.sort(function(a, b) {
+      return (a.workArea.left - b.workArea.left) ||
+          (a.workArea.top - b.workArea.top);
+    });
+    if (displays.length > 0) {
+      virtualdesktops.displays.knownDisplays_ = displays;
+    }
+    callback(displays);
+  });
+};
+
+
+/**
+ * Finds the display a rectangle is on. This is the display it overlaps most
+ * with, or if it overlaps with none, the one whose center is closest.
+ * @param {!Array<!virtualdesktops.displays.Display>} displays The displays.
+ * @param {!virtualdesktops.tiling.Rect} rect The rectangle, e.g. the bounds of
+ *     a window.
+ * @return {number} The index of the display in displays, or -1 if there are no
+ *     displays.
+ */
+virtualdesktops.displays.findDisplay = function(displays, rect) {
+  var best = -1;
+  var bestOverlap = 0;
+  var bestDistance = Infinity;
+  for (var i = 0; i < displays.length; ++i) {
+    var area = displays[i].workArea;
+    var overlapX = Math.min(rect.left + rect.width, area.left + area.width) -
+        Math.max(rect.left, area.left);
+    var overlapY = Math.min(rect.top + rect.height, area.top + area.height) -
+        Math.max(rect.top, area.top);
+    var overlap = Math.max(overlapX, 0) * Math.max(overlapY, 0);
+    var dx = (rect.left + rect.width / 2) - (area.left + area.width / 2);
+    var dy = (rect.top + rect.height / 2) - (area.top + area.height / 2);
+    var distance = dx * dx + dy * dy;
+    if (overlap > bestOverlap ||
+        (overlap == bestOverlap && distance < bestDistance)) {
+      best = i;
+      bestOverlap = overlap;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+
+/**
+ * Maps a rectangle from one work area to another, keeping its position and size
+ * relative to the work area.
+ * @param {!virtualdesktops.tiling.Rect} rect The rectangle to map.
+ * @param {!virtualdesktops.tiling.Rect} from The work area it is on.
+ * @param {!virtualdesktops.tiling.Rect} to The work area to map it to.
+ * @return {!virtualdesktops.tiling.Rect} The mapped rectangle.
+ */
+virtualdesktops.displays.mapRect = function(rect, from, to) {
+  var left = Math.round(
+      to.left + (rect.left - from.left) * to.width / from.width);
+  var top = Math.round(
+      to.top + (rect.top - from.top) * to.height / from.height);
+  var right = Math.round(to.left +
+      (rect.left + rect.width - from.left) * to.width / from.width);
+  var bottom = Math.round(to.top +
+      (rect.top + rect.height - from.top) * to.height / from.height);
+  return {left: left, top: top, width: right - left, height: bottom - top};
+};
+
+
+/**
+ * Finds out where a rectangle should go after the set of displays changed.
+ * Rectangles on displays that still exist stay where they are. Rectangles on
+ * displays that are gone are mapped to the first remaining display.
+ * @param {!virtualdesktops.tiling.Rect} rect The rectangle.
+ * @param {!Array<!virtualdesktops.displays.Display>} oldDisplays The displays
+ *     before the change.
+ * @param {!Array<!virtualdesktops.displays.Display>} newDisplays The displays
+ *     after the change.
+ * @return {?virtualdesktops.tiling.Rect} The new rectangle, or null if it need
+ *     not move.
+ */
+virtualdesktops.displays.remapRect = function(rect, oldDisplays, newDisplays) {
+  var i = virtualdesktops.displays.findDisplay(oldDisplays, rect);
+  if (i < 0 || newDisplays.length == 0) {
+    return null;
+  }
+  var stillThere = newDisplays.some(function(display) {
+    return display.id == oldDisplays[i].id;
+  });
+  if (stillThere) {
+    return null;
+  }
+  return virtualdesktops.displays.mapRect(
+      rect, oldDisplays[i].workArea, newDisplays[0].workArea);
+};
+
+
+/**
+ * Finds the work area of the display a window is on.
+ * Chrome may report no displays at all, e.g. while they are being reconfigured.
+ * Then the displays it reported before are used, or if there were none, the
+ * window's own bounds.
+ * @param {?ChromeWindow} win The window, or null to use the first display.
+ * @param {function(!virtualdesktops.tiling.Rect)} callback The callback that
+ *     receives the work area.
+ */
+virtualdesktops.displays.getWorkArea = function(win, callback) {
+  virtualdesktops.displays.getDisplays(function(displays) {
+    if (displays.length == 0) {
+      displays = virtualdesktops.displays.knownDisplays_;
+    }
+    var bounds = null;
+    if (win != null && win.left != null) {
+      bounds = {
+        left: win.left,
+        top: win.top,
+        width: win.width,
+        height: win.height
+      };
+    }
+    if (displays.length == 0) {
+      callback(bounds || virtualdesktops.displays.FALLBACK_WORK_AREA_);
+      return;
+    }
+    var i = 0;
+    if (bounds != null) {
+      i = virtualdesktops.displays.findDisplay(displays, bounds);
+    }
+    callback(displays[Math.max(i, 0)].workArea);
+  });
+};
@@ -0,0 +1,143 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Unit test for displays.
+ * @package
+ */
+goog.setTestOnly();
+
+goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops.displays');
+
+
+/**
+ * Two displays side by side; the right one has a larger resolution.
+ * @const {!Array<!virtualdesktops.displays.Display>}
+ */
+var DISPLAYS = [
+  {id: 'a', workArea: {left: 0, top: 0, width: 1000, height: 500}},
+  {id: 'b', workArea: {left: 1000, top: 0, width: 2000, height: 1000}}
+];
+
+
+/**
+ * The chrome.system API before the test replaced it.
+ * @type {*}
+ */
+var originalSystem;
+
+
+/**
+ * Lets chrome.system.display report the given displays.
+ * @param {!Array<!virtualdesktops.displays.Display>} displays The displays.
+ */
+function setDisplays(displays) {
+  chrome.system = {
+    display: {
+      getInfo: function(callback) {
+        callback(displays);
+      }
+    }
+  };
+}
+
+
+/**
+ * Forgets the displays reported by previous tests.
+ */
+function setUp() {
+  window.chrome = window.chrome || {};
+  originalSystem = chrome.system;
+  virtualdesktops.displays.knownDisplays_ = [];
+}
+
+
+/**
+ * Restores the chrome.system API.
+ */
+function tearDown() {
+  chrome.system = originalSystem;
+}
+
+
+/**
+ * Tests whether windows are found on the display they overlap most with.
+ */
+function testFindDisplay() {
+  assertEquals(0, virtualdesktops.displays.findDisplay(DISPLAYS,
+      {left: 100, top: 100, width: 500, height: 300}));
+  assertEquals(1, virtualdesktops.displays.findDisplay(DISPLAYS,
+      {left: 800, top: 100, width: 500, height: 300}));
+  // Off screen windows belong to the closest display.
+  assertEquals(1, virtualdesktops.displays.findDisplay(DISPLAYS,
+      {left: 5000, top: 100, width: 500, height: 300}));
+  assertEquals(-1, virtualdesktops.displays.findDisplay([],
+      {left: 0, top: 0, width: 1, height: 1}));
+}
+
+
+/**
+ * Tests whether rectangles keep their relative position when mapped.
+ */
+function testMapRect() {
+  assertObjectEquals({left: 1500, top: 200, width: 1000, height: 600},
+      virtualdesktops.displays.mapRect(
+          {left: 250, top: 100, width: 500, height: 300},
+          DISPLAYS[0].workArea, DISPLAYS[1].workArea));
+}
+
+
+/**
+ * Tests whether only rectangles on disconnected displays are remapped.
+ */
+function testRemapRect() {
+  var remaining = [DISPLAYS[0]];
+  assertNull(virtualdesktops.displays.remapRect(
+      {left: 100, top: 100, width: 500, height: 300}, DISPLAYS, remaining));
+  assertObjectEquals({left: 250, top: 50, width: 250, height: 150},
+      virtualdesktops.displays.remapRect(
+          {left: 1500, top: 100, width: 500, height: 300},
+          DISPLAYS, remaining));
+}
+
+
+/**
+ * Tests whether a work area is found even if Chrome reports no displays.
+ */
+function testGetWorkAreaWithoutDisplays() {
+  var win = /** @type {!ChromeWindow} */ (
+      {left: 1500, top: 100, width: 500, height: 300});
+  var workArea = null;
+  var receive = function(area) {
+    workArea = area;
+  };
+
+  // Without any display known, the window's bounds are all there is.
+  setDisplays([]);
+  virtualdesktops.displays.getWorkArea(win, receive);
+  assertObjectEquals({left: 1500, top: 100, width: 500, height: 300},
+      workArea);
+
+  // Otherwise, the displays reported before are used.
+  setDisplays(DISPLAYS);
+  virtualdesktops.displays.getWorkArea(null, receive);
+  assertObjectEquals(DISPLAYS[0].workArea, workArea);
+  setDisplays([]);
+  virtualdesktops.displays.getWorkArea(win, receive);
+  assertObjectEquals(DISPLAYS[1].workArea, workArea);
+}
@@ -27,7 +27,8 @@ var pseudoRandom = new goog.testing.PseudoRandom(0, true);
 
 /**
  * A fake of WindowProvider that allows to easily unit test window management.
- * It does not support event handlers at this point.
+ * Of the event handlers, it supports those for focus changes, window creation
+ * and windows being moved or resized.
  * @constructor
  * @extends {virtualdesktops.WindowProvider}
  */
@@ -54,6 +55,24 @@ virtualdesktops.FakeWindowProvider = function() {
    * @type {?number}
    */
   this.currentWindow = null;
+
+  /**
+   * The handlers of focus changes.
+   * @private {!Array<function(number)>}
+   */
+  this.focusChangedHandlers_ = [];
+
+  /**
+   * The handlers of window creation.
+   * @private {!Array<function(!ChromeWindow)>}
+   */
+  this.createdHandlers_ = [];
+
+  /**
+   * The handlers of windows being moved or resized.
+   * @private {!Array<function(!ChromeWindow)>}
+   */
+  this.boundsChangedHandlers_ = [];
 };
 goog.inherits(
     virtualdesktops.FakeWindowProvider,
@@ -74,7 +93,7 @@ virtualdesktops.FakeWindowProvider.prototype.setFocus_ =
   }
   if (this.windows[winId].state != 'minimized') {
     this.windows[winId].focused = true;
-    this.lastFocusedWindow = winId;
+    this.setLastFocused_(winId);
   }
 };
 
@@ -98,11 +117,29 @@ virtualdesktops.FakeWindowProvider.prototype.clearFocus_ =
   if (focusCandidates.length > 0) {
     var n = Math.floor(pseudoRandom.random() * focusCandidates.length);
     this.windows[focusCandidates[n]].focused = true;
-    this.lastFocusedWindow = this.windows[focusCandidates[n]].id;
+    this.setLastFocused_(this.windows[focusCandidates[n]].id);
   }
 };
 
 
+/**
+ * Remembers the window that has focus, and informs the handlers of focus
+ * changes if it is another one than before.
+ * @private
+ * @param {number} winId The ID of the window that has focus.
+ */
+virtualdesktops.FakeWindowProvider.prototype.setLastFocused_ =
+    function(winId) {
+  if (this.lastFocusedWindow == winId) {
+    return;
+  }
+  this.lastFocusedWindow = winId;
+  this.focusChangedHandlers_.forEach(function(handler) {
+    handler(winId);
+  });
+};
+
+
 /**
  * Queries a specific window.
  * @param {number} winId The ID of the window to query.
@@ -154,6 +191,18 @@ virtualdesktops.FakeWindowProvider.prototype.getAll =
 };
 
 
+/**
+ * Queries all windows, including the lists of their tabs.
+ * Tabs are only included if tests set them up in the windows map.
+ * @param {function(!Array<!ChromeWindow>)} callback The callback that
+ *     receives information about the windows when done.
+ */
+virtualdesktops.FakeWindowProvider.prototype.getAllWithTabs =
+    function(callback) {
+  this.getAll(callback);
+};
+
+
 /**
  * Moves and resizes a given window.
  * @param {number} winId The ID of the window to modify.
@@ -176,6 +225,180 @@ virtualdesktops.FakeWindowProvider.prototype.update =
     this.clearFocus_(winId);
   }
 
+  if (updateInfo.left != null || updateInfo.top != null ||
+      updateInfo.width != null || updateInfo.height != null) {
+    this.boundsChangedHandlers_.forEach(function(handler) {
+      handler(this.windows[winId]);
+    }, this);
+  }
+
   // Invoke the callback if given.
   callback();
 };
+
+
+/**
+ * Registers an event handler for focus changes.
+ * @param {function(number)} handler Event handler receiving the ID of the newly
+ *     focused window when focus changes.
+ */
+virtualdesktops.FakeWindowProvider.prototype.onFocusChanged =
+    function(handler) {
+  this.focusChangedHandlers_.push(handler);
+};
+
+
+/**
+ * Registers an event handler for window creation.
+ * @param {function(!ChromeWindow)} handler Event handler receiving the just
+ *     created window.
+ */
+virtualdesktops.FakeWindowProvider.prototype.onCreated = function(handler) {
+  this.createdHandlers_.push(handler);
+};
+
+
+/**
+ * Registers an event handler for windows being moved or resized.
+ * @param {function(!ChromeWindow)} handler Event handler receiving the window
+ *     with its new position and size.
+ */
+virtualdesktops.FakeWindowProvider.prototype.onBoundsChanged =
+    function(handler) {
+  this.boundsChangedHandlers_.push(handler);
+};
+
+
+/**
+ * Takes a tab out of its window. A window that loses its last tab this way is
+ * closed, like Chrome does. Like Chrome may do, the tab loses its pinned and
+ * active state.
+ * @private
+ * @param {number} tabId The ID of the tab.
+ * @return {!Tab} The tab.
+ */
+virtualdesktops.FakeWindowProvider.prototype.takeTab_ = function(tabId) {
+  for (var wStr in this.windows) {
+    var w = parseInt(wStr, 10);
+    var tabs = this.windows[w].tabs || [];
+    for (var i = 0; i < tabs.length; ++i) {
+      if (tabs[i].id == tabId) {
+        // A copy, so tabs queried before keep their state, like in Chrome.
+        var tab = /** @type {!Tab} */ ({});
+        var oldTab = tabs.splice(i, 1)[0];
+        for (var key in oldTab) {
+          tab[key] = oldTab[key];
+        }
+        tab.pinned = false;
+        tab.active = false;
+        tabs.forEach(function(t, j) {
+          t.index = j;
+        });
+        if (tabs.length == 0) {
+          delete this.windows[w];
+        }
+        return tab;
+      }
+    }
+  }
+  fail('Unknown tab ' + tabId);
+  return /** @type {!Tab} */ ({});
+};
+
+
+/**
+ * Creates a new window. It gets the lowest unused window ID, and either the tab
+ * given by its ID in createInfo or a tab per URL given in createInfo, numbered
+ * by window ID times 100 plus position.
+ * @param {!ChromeWindowCreateInfo} createInfo Info for creating the window.
+ * @param {function(ChromeWindow): void} callback The callback to call when
+ *     done. It receives the just created ChromeWindow as parameter.
+ */
+virtualdesktops.FakeWindowProvider.prototype.create =
+    function(createInfo, callback) {
+  var winId = 1;
+  while (winId in this.windows) {
+    ++winId;
+  }
+  var urls = createInfo.url == null ? [] : [].concat(createInfo.url);
+  var tabs = urls.map(function(url, i) {
+    return {id: winId * 100 + i, index: i, url: url, pinned: false};
+  });
+  if (createInfo.tabId != null) {
+    tabs = [this.takeTab_(createInfo.tabId)];
+    tabs[0].index = 0;
+    tabs[0].active = true;
+  }
+  this.windows[winId] = /** @type {!ChromeWindow} */ ({
+    id: winId,
+    left: createInfo.left,
+    top: createInfo.top,
+    width: createInfo.width,
+    height: createInfo.height,
+    focused: false,
+    incognito: !!createInfo.incognito,
+    type: createInfo.type || 'normal',
+    state: 'normal',
+    alwaysOnTop: false,
+    tabs: tabs
+  });
+  this.createdHandlers_.forEach(function(handler) {
+    handler(this.windows[winId]);
+  }, this);
+  if (createInfo.focused) {
+    this.setFocus_(winId);
+  }
+  callback(this.windows[winId]);
+};
+
+
+/**
+ * Modifies a given tab. A tab made active makes the other tabs of its window
+ * inactive.
+ * @param {number} tabId The ID of the tab.
+ * @param {!Object} updateProperties Changes to apply to the tab.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.FakeWindowProvider.prototype.updateTab =
+    function(tabId, updateProperties, callback) {
+  var tab = null;
+  var tabs = [];
+  for (var wStr in this.windows) {
+    var w = parseInt(wStr, 10);
+    var found = (this.windows[w].tabs || []).filter(function(t) {
+      return t.id == tabId;
+    })[0];
+    if (found != null) {
+      tab = found;
+      tabs = this.windows[w].tabs;
+    }
+  }
+  assertTrue(tab != null);
+  if (updateProperties.active === true) {
+    tabs.forEach(function(t) {
+      t.active = false;
+    });
+  }
+  for (var key in updateProperties) {
+    tab[key] = updateProperties[key];
+  }
+  callback();
+};
+
+
+/**
+ * Moves a tab to the end of another window. A window that loses its last tab
+ * this way is closed.
+ * @param {number} tabId The ID of the tab.
+ * @param {number} winId The ID of the window to move the tab to.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.FakeWindowProvider.prototype.moveTab =
+    function(tabId, winId, callback) {
+  assertTrue(winId in this.windows);
+  var tab = this.takeTab_(tabId);
+  var tabs = this.windows[winId].tabs = this.windows[winId].tabs || [];
+  tab.index = tabs.length;
+  tabs.push(tab);
+  callback();
+};
@@ -0,0 +1,49 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Functions to map positions on the screen to pixels.
+ * @package
+ */
+goog.provide('virtualdesktops.grid');
+
+goog.require('virtualdesktops.tiling');
+
+
+/**
+ * Calculates pixel positions from the given fractions of a work area, and
+ * writes them into a given message object.
+ * @param {number} left The left edge, as a fraction of the work area width.
+ * @param {number} top The top edge, as a fraction of the work area height.
+ * @param {number} width The width, as a fraction of the work area width.
+ * @param {number} height The height, as a fraction of the work area height.
+ * @param {!virtualdesktops.tiling.Rect} workArea The work area of the display
+ *     to position on.
+ * @param {!Object} message The client-server message to write the calculated
+ *     position to.
+ */
+virtualdesktops.grid.writeFractionToMessage =
+    function(left, top, width, height, workArea, message) {
+  var xmin = Math.round(workArea.left + left * workArea.width);
+  var xmax = Math.round(workArea.left + (left + width) * workArea.width);
+  var ymin = Math.round(workArea.top + top * workArea.height);
+  var ymax = Math.round(workArea.top + (top + height) * workArea.height);
+  message['x'] = xmin;
+  message['y'] = ymin;
+  message['w'] = xmax - xmin;
+  message['h'] = ymax - ymin;
+};
@@ -0,0 +1,188 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+/**
+ * @fileoverview Functions to keep the history of window management operations,
+ * so they can be undone and redone.
+ *
+ * The history is kept in the local storage area, so it survives the background
+ * service worker being stopped when idle. It refers to windows by ID, so it
+ * must be cleared when the browser restarts.
+ * @package
+ */
+goog.provide('virtualdesktops.history');
+
+goog.require('virtualdesktops.storage');
+goog.require('virtualdesktops.store');
+
+
+/**
+ * The state of all windows at some point in time: the state of the virtual
+ * desktops, and the actual state, position and size of each window.
+ * @typedef {{
+ *   state: !virtualdesktops.storage.State,
+ *   windows: !Array<{
+ *     id: number,
+ *     state: string,
+ *     left: number,
+ *     top: number,
+ *     width: number,
+ *     height: number
+ *   }>
+ * }} */
+virtualdesktops.history.Entry;
+
+
+/**
+ * @const {string} Key in the local storage area to store the history.
+ * @private
+ */
+virtualdesktops.history.KEY_ = 'history';
+
+
+/**
+ * Maximum number of operations that can be undone.
+ * @const {number}
+ * @private
+ */
+virtualdesktops.history.MAX_ENTRIES_ = 20;
+
+
+/**
+ * Reads the history. Anything that is not a valid history is treated as an
+ * empty one.
+ * @private
+ * @return {{undo: !Array<!virtualdesktops.history.Entry>,
+ *     redo: !Array<!virtualdesktops.history.Entry>}} The entries to undo and
+ *     to redo, the most recent last.
+ */
+virtualdesktops.history.get_ = function() {
+  var value = virtualdesktops.store.get(
+      virtualdesktops.store.Area.LOCAL, virtualdesktops.history.KEY_);
+  if (value == null || !Array.isArray(value['undo']) ||
+      !Array.isArray(value['redo'])) {
+    return {undo: [], redo: []};
+  }
+  return {undo: value['undo'].slice(), redo: value['redo'].slice()};
+};
+
+
+/**
+ * Writes the history.
+ * @private
+ * @param {{undo: !Array<!virtualdesktops.history.Entry>,
+ *     redo: !Array<!virtualdesktops.history.Entry>}} history The history.
+ */
+virtualdesktops.history.set_ = function(history) {
+  virtualdesktops.store.set(virtualdesktops.store.Area.LOCAL,
+      virtualdesktops.history.KEY_, {
+        'undo': history.undo,
+        'redo': history.redo
+      });
+};
+
+
+/**
+ * Records the state before an operation, so the operation can be undone.
+ * Operations that have been undone can't be redone after this.
+ * @param {!virtualdesktops.history.Entry} entry The state before the
+ *     operation.
+ */
+virtualdesktops.history.record = function(entry) {
+  var history = virtualdesktops.history.get_();
+  history.undo.push(entry);
+  if (history.undo.length > virtualdesktops.history.MAX_ENTRIES_) {
+    history.undo.shift();
+  }
+  history.redo = [];
+  virtualdesktops.history.set_(history);
+};
+
+
+/**
+ * Undoes the most recent operation.
+ * @param {!virtualdesktops.history.Entry} current The current state, to go
+ *     back to when redoing.
+ * @return {?virtualdesktops.history.Entry} The state to restore, or null if
+ *     there is nothing to undo.
+ */
+virtualdesktops.history.undo = function(current) {
+  var history = virtualdesktops.history.get_();
+  var entry = history.undo.pop();
+  if (entry == null) {
+    return null;
+  }
+  history.redo.push(current);
+  virtualdesktops.history.set_(history);
+  return entry;
+};
+
+
+/**
+ * Redoes the most recently undone operation.
+ * @param {!virtualdesktops.history.Entry} current The current state, to go
+ *     back to when undoing.
+ * @return {?virtualdesktops.history.Entry} The state to restore, or null if
+ *     there is nothing to redo.
+ */
+virtualdesktops.history.redo = function(current) {
+  var history = virtualdesktops.history.get_();
+  var entry = history.redo.pop();
+  if (entry == null) {
+    return null;
+  }
+  history.undo.push(current);
+  virtualdesktops.history.set_(history);
+  return entry;
+};
+
+
+/**
+ * Renumbers the desktops in all recorded states, after desktops have been
+ * swapped, inserted or deleted, so undoing and redoing keeps windows on the
+ * same desktops as before.
+ * @param {!Array<number>} mapping For each 0-based desktop number before, the
+ *     number after. Desktops beyond its end count as the last desktop.
+ */
+virtualdesktops.history.remapDesktops = function(mapping) {
+  var map = function(desktop) {
+    return mapping[Math.min(desktop, mapping.length - 1)];
+  };
+  var history = virtualdesktops.history.get_();
+  history.undo.concat(history.redo).forEach(function(entry) {
+    var state = entry.state;
+    state.currentDesktop = map(state.currentDesktop);
+    for (var displayId in state.currentDesktops) {
+      state.currentDesktops[displayId] = map(state.currentDesktops[displayId]);
+    }
+    for (var winId in state.windowStates) {
+      var windowState = state.windowStates[winId];
+      windowState.desktop = map(windowState.desktop);
+    }
+  });
+  virtualdesktops.history.set_(history);
+};
+
+
+/**
+ * Forgets all operations.
+ */
+virtualdesktops.history.clear = function() {
+  virtualdesktops.store.remove(
+      virtualdesktops.store.Area.LOCAL, virtualdesktops.history.KEY_);
+};
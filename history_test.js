@@ -0,0 +1,118 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+/**
+ * @fileoverview Unit test for the history of window management operations.
+ * @package
+ */
+goog.setTestOnly();
+
+goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops.history');
+
+
+/**
+ * Returns a history entry that is told apart from others by its desktop.
+ * @param {number} desktop The current desktop of the entry.
+ * @return {!virtualdesktops.history.Entry} The entry.
+ */
+function createEntry(desktop) {
+  return {
+    state: {
+      currentDesktop: desktop,
+      activeDisplay: '',
+      currentDesktops: {},
+      windowStates: {},
+      displays: []
+    },
+    windows: []
+  };
+}
+
+
+/**
+ * Starts each test with an empty history.
+ */
+function setUp() {
+  virtualdesktops.history.clear();
+}
+
+
+/**
+ * Tests whether operations are undone and redone in the right order.
+ */
+function testUndoAndRedo() {
+  assertNull(virtualdesktops.history.undo(createEntry(9)));
+
+  virtualdesktops.history.record(createEntry(0));
+  virtualdesktops.history.record(createEntry(1));
+  assertObjectEquals(createEntry(1),
+      virtualdesktops.history.undo(createEntry(2)));
+  assertObjectEquals(createEntry(0),
+      virtualdesktops.history.undo(createEntry(1)));
+  assertNull(virtualdesktops.history.undo(createEntry(0)));
+
+  assertObjectEquals(createEntry(1),
+      virtualdesktops.history.redo(createEntry(0)));
+  assertObjectEquals(createEntry(2),
+      virtualdesktops.history.redo(createEntry(1)));
+  assertNull(virtualdesktops.history.redo(createEntry(2)));
+}
+
+
+/**
+ * Tests whether a new operation makes undone operations impossible to redo.
+ */
+function testRecordClearsRedo() {
+  virtualdesktops.history.record(createEntry(0));
+  virtualdesktops.history.undo(createEntry(1));
+  virtualdesktops.history.record(createEntry(0));
+  assertNull(virtualdesktops.history.redo(createEntry(2)));
+}
+
+
+/**
+ * Tests whether only the most recent operations are kept.
+ */
+function testOldestEntriesAreDropped() {
+  for (var i = 0; i < 25; i++) {
+    virtualdesktops.history.record(createEntry(i));
+  }
+  for (var i = 24; i >= 5; i--) {
+    assertObjectEquals(createEntry(i),
+        virtualdesktops.history.undo(createEntry(0)));
+  }
+  assertNull(virtualdesktops.history.undo(createEntry(0)));
+}
+
+
+/**
+ * Tests whether renumbering desktops applies to both the entries to undo and
+ * those to redo.
+ */
+function testRemapDesktops() {
+  virtualdesktops.history.record(createEntry(3));
+  virtualdesktops.history.record(createEntry(1));
+  virtualdesktops.history.undo(createEntry(0));
+  // Desktop 1 was deleted, so desktop 3 became desktop 2.
+  virtualdesktops.history.remapDesktops([0, 0, 1, 2]);
+  assertObjectEquals(createEntry(2),
+      virtualdesktops.history.undo(createEntry(0)));
+  assertObjectEquals(createEntry(0),
+      virtualdesktops.history.redo(createEntry(0)));
+}
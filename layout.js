@@ -0,0 +1,37 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @package
+ */
+goog.provide('virtualdesktops.Layout');
+
+
+/**
+ * A user-defined window position. The rectangle is given in percent of the
+ * screen's work area, and key is the key (a lowercase letter or a digit) that
+ * selects it in the browser action, or the empty string if none. Keys the
+ * browser action uses for its other buttons don't select layouts.
+ * @typedef {{
+ *   name: string,
+ *   key: string,
+ *   x: number,
+ *   y: number,
+ *   w: number,
+ *   h: number
+ * }} */
+virtualdesktops.Layout;
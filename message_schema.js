@@ -0,0 +1,180 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Schema of the requests the background page accepts, and of its
+ * responses.
+ *
+ * Requests are objects with the request type (see virtualdesktops.RequestType)
+ * in 'request', and further request specific fields. Requests from other
+ * extensions must also carry the schema version in 'version'.
+ *
+ * Responses are objects with a boolean 'success' field. Successful responses
+ * carry the request specific result (if any) in 'result', failed ones carry a
+ * human readable message in 'error'.
+ */
+goog.provide('virtualdesktops.messageSchema');
+
+goog.require('virtualdesktops.RequestType');
+
+
+/**
+ * Version of the request schema. Must be increased whenever requests change
+ * incompatibly, so other extensions can detect this.
+ * @const {number}
+ */
+virtualdesktops.messageSchema.VERSION = 1;
+
+
+/**
+ * Fields that the requests must contain, and their types, per request type.
+ * The position fields 'x', 'y', 'w' and 'h' are handled separately, as they
+ * are only required if 'fullscreen' is not set.
+ * @const {!Object<string, !Object<string, string>>}
+ * @private
+ */
+virtualdesktops.messageSchema.REQUIRED_FIELDS_ = (function() {
+  var t = virtualdesktops.RequestType;
+  var fields = {};
+  fields[t.MOVE_WINDOW] = {'winId': 'number'};
+  fields[t.EXTRACT_TAB] = {'tabId': 'number', 'incognito': 'boolean'};
+  fields[t.SWITCH_TO_NEXT_DESKTOP] = {'winId': 'number'};
+  fields[t.SWITCH_TO_PREVIOUS_DESKTOP] = {'winId': 'number'};
+  fields[t.CURRENT_TO_NEXT_DESKTOP] = {'winId': 'number'};
+  fields[t.CURRENT_TO_PREVIOUS_DESKTOP] = {'winId': 'number'};
+  fields[t.SWITCH_TO_DESKTOP] = {'winId': 'number', 'desktop': 'number'};
+  fields[t.SEND_TO_DESKTOP] = {'winId': 'number', 'desktop': 'number'};
+  fields[t.GET_OVERVIEW] = {};
+  fields[t.FOCUS_WINDOW] = {'winId': 'number'};
+  fields[t.SEND_WINDOW_TO_DESKTOP] = {'winId': 'number', 'desktop': 'number'};
+  fields[t.QUERY_DESKTOPS] = {};
+  fields[t.ARRANGE_DESKTOP] = {'winId': 'number', 'mode': 'string'};
+  fields[t.MOVE_TO_NEXT_DISPLAY] = {'winId': 'number'};
+  fields[t.MOVE_TO_PREVIOUS_DISPLAY] = {'winId': 'number'};
+  fields[t.SAVE_SNAPSHOT] = {'name': 'string'};
+  fields[t.RESTORE_SNAPSHOT] = {'name': 'string'};
+  fields[t.DELETE_SNAPSHOT] = {'name': 'string'};
+  fields[t.LIST_SNAPSHOTS] = {};
+  fields[t.SET_WINDOW_STICKY] = {'winId': 'number', 'sticky': 'boolean'};
+  fields[t.UNDO] = {};
+  fields[t.REDO] = {};
+  fields[t.MOVE_DESKTOP_WINDOWS] = {'from': 'number', 'to': 'number'};
+  fields[t.SWAP_DESKTOPS] = {'desktop': 'number', 'otherDesktop': 'number'};
+  fields[t.INSERT_DESKTOP] = {'desktop': 'number'};
+  fields[t.DELETE_DESKTOP] = {'desktop': 'number'};
+  fields[t.SEND_TAB_TO_DESKTOP] = {'tabId': 'number', 'desktop': 'number'};
+  fields[t.SPLIT_WITH_PREVIOUS_TAB] = {'tabId': 'number'};
+  return fields;
+})();
+
+
+/**
+ * Request types that position a window, and thus need either 'fullscreen' or
+ * all of 'x', 'y', 'w' and 'h'.
+ * @const {!Array<string>}
+ * @private
+ */
+virtualdesktops.messageSchema.POSITIONED_REQUESTS_ = [
+  virtualdesktops.RequestType.MOVE_WINDOW,
+  virtualdesktops.RequestType.EXTRACT_TAB
+];
+
+
+/**
+ * Returns whether a request of the given type operates on a window, i.e.
+ * requires a 'winId' field.
+ * @param {string} requestType The request type.
+ * @return {boolean}
+ */
+virtualdesktops.messageSchema.needsWindow = function(requestType) {
+  var requiredFields = virtualdesktops.messageSchema.REQUIRED_FIELDS_;
+  return requiredFields.hasOwnProperty(requestType) &&
+      'winId' in requiredFields[requestType];
+};
+
+
+/**
+ * Validates a request.
+ * @param {*} message The request to validate.
+ * @return {?string} A description of what is wrong with the request, or null
+ *     if it is valid.
+ */
+virtualdesktops.messageSchema.validate = function(message) {
+  if (message == null || typeof message != 'object') {
+    return 'Request is not an object';
+  }
+  var requiredFields = virtualdesktops.messageSchema.REQUIRED_FIELDS_;
+  if (!requiredFields.hasOwnProperty(message['request'])) {
+    return 'Unknown request type: ' + message['request'];
+  }
+  var fields = requiredFields[message['request']];
+  for (var field in fields) {
+    if (typeof message[field] != fields[field]) {
+      return 'Field ' + field + ' must be a ' + fields[field];
+    }
+  }
+  if (virtualdesktops.messageSchema.POSITIONED_REQUESTS_.indexOf(
+          message['request']) >= 0 && message['fullscreen'] !== true) {
+    var positionFields = ['x', 'y', 'w', 'h'];
+    for (var i = 0; i < positionFields.length; ++i) {
+      if (typeof message[positionFields[i]] != 'number' ||
+          !isFinite(message[positionFields[i]])) {
+        return 'Field ' + positionFields[i] +
+            ' must be a number unless fullscreen is set';
+      }
+    }
+  }
+  if (message['tabIds'] !== undefined &&
+      !(Array.isArray(message['tabIds']) &&
+        message['tabIds'].every(function(tabId) {
+          return typeof tabId == 'number';
+        }))) {
+    return 'Field tabIds must be an array of numbers';
+  }
+  return null;
+};
+
+
+/**
+ * Creates a response to a successfully handled request.
+ * @param {*=} opt_result The request specific result, if any.
+ * @return {!Object} The response.
+ */
+virtualdesktops.messageSchema.success = function(opt_result) {
+  var response = {
+    'version': virtualdesktops.messageSchema.VERSION,
+    'success': true
+  };
+  if (opt_result !== undefined) {
+    response['result'] = opt_result;
+  }
+  return response;
+};
+
+
+/**
+ * Creates a response to a failed request.
+ * @param {string} error A description of what went wrong.
+ * @return {!Object} The response.
+ */
+virtualdesktops.messageSchema.error = function(error) {
+  return {
+    'version': virtualdesktops.messageSchema.VERSION,
+    'success': false,
+    'error': error
+  };
+};
@@ -0,0 +1,128 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Unit test for messageSchema.
+ * @package
+ */
+goog.setTestOnly();
+
+goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops.RequestType');
+goog.require('virtualdesktops.messageSchema');
+
+
+/**
+ * Tests whether well-formed requests are accepted.
+ */
+function testValidRequests() {
+  assertNull(virtualdesktops.messageSchema.validate({
+    'request': virtualdesktops.RequestType.SWITCH_TO_DESKTOP,
+    'winId': 1,
+    'desktop': 2
+  }));
+  assertNull(virtualdesktops.messageSchema.validate({
+    'request': virtualdesktops.RequestType.MOVE_WINDOW,
+    'winId': 1,
+    'x': 0,
+    'y': 0,
+    'w': 640,
+    'h': 480
+  }));
+  assertNull(virtualdesktops.messageSchema.validate({
+    'request': virtualdesktops.RequestType.MOVE_WINDOW,
+    'winId': 1,
+    'fullscreen': true
+  }));
+  assertNull(virtualdesktops.messageSchema.validate({
+    'request': virtualdesktops.RequestType.QUERY_DESKTOPS
+  }));
+  assertNull(virtualdesktops.messageSchema.validate({
+    'request': virtualdesktops.RequestType.EXTRACT_TAB,
+    'tabId': 2,
+    'tabIds': [1, 2],
+    'incognito': false,
+    'fullscreen': true
+  }));
+}
+
+
+/**
+ * Tests whether malformed requests are rejected.
+ */
+function testInvalidRequests() {
+  assertNotNull(virtualdesktops.messageSchema.validate(null));
+  assertNotNull(virtualdesktops.messageSchema.validate('switchToDesktop'));
+  assertNotNull(virtualdesktops.messageSchema.validate({
+    'request': 'formatHardDisk'
+  }));
+  assertNotNull(virtualdesktops.messageSchema.validate({
+    'request': 'toString'
+  }));
+  assertNotNull(virtualdesktops.messageSchema.validate({
+    'request': virtualdesktops.RequestType.SWITCH_TO_DESKTOP,
+    'winId': 1,
+    'desktop': '2'
+  }));
+  assertNotNull(virtualdesktops.messageSchema.validate({
+    'request': virtualdesktops.RequestType.MOVE_WINDOW,
+    'winId': 1,
+    'x': 0,
+    'y': 0,
+    'w': 640
+  }));
+  assertNotNull(virtualdesktops.messageSchema.validate({
+    'request': virtualdesktops.RequestType.EXTRACT_TAB,
+    'tabId': 1,
+    'tabIds': [1, '2'],
+    'incognito': false,
+    'fullscreen': true
+  }));
+}
+
+
+/**
+ * Tests whether requests operating on windows are identified.
+ */
+function testNeedsWindow() {
+  assertTrue(virtualdesktops.messageSchema.needsWindow(
+      virtualdesktops.RequestType.SWITCH_TO_NEXT_DESKTOP));
+  assertFalse(virtualdesktops.messageSchema.needsWindow(
+      virtualdesktops.RequestType.QUERY_DESKTOPS));
+  assertFalse(virtualdesktops.messageSchema.needsWindow('toString'));
+}
+
+
+/**
+ * Tests whether responses have the documented structure.
+ */
+function testResponses() {
+  assertObjectEquals({
+    'version': virtualdesktops.messageSchema.VERSION,
+    'success': true
+  }, virtualdesktops.messageSchema.success());
+  assertObjectEquals({
+    'version': virtualdesktops.messageSchema.VERSION,
+    'success': true,
+    'result': 3
+  }, virtualdesktops.messageSchema.success(3));
+  assertObjectEquals({
+    'version': virtualdesktops.messageSchema.VERSION,
+    'success': false,
+    'error': 'oops'
+  }, virtualdesktops.messageSchema.error('oops'));
+}
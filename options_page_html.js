@@ -21,11 +21,16 @@
  * Provides nothing, but adds event handlers to the DOM of options_page.html on
  * load.
  */
+goog.require('virtualdesktops.Layout');
+goog.require('virtualdesktops.WindowRule');
+goog.require('virtualdesktops.client');
+goog.require('virtualdesktops.popupKeys');
 goog.require('virtualdesktops.settings');
+goog.require('virtualdesktops.store');
 
 
 /**
- * Saves the options from the form fields to the localStorage values.
+ * Saves the options from the form fields to the stored settings.
  * Settings values are re-parsed to give user feedback on possible clamping.
  * @private
  */
@@ -42,9 +47,52 @@ function saveOptions() {
   virtualdesktops.settings.setGroupBy(groupBy.value);
   groupBy.value = virtualdesktops.settings.getGroupBy();
 
+  // This must be stored first, as lowering the number of desktops makes the
+  // background service worker act on it.
+  var removedDesktopWindows =
+      document.getElementById('removed-desktop-windows');
+  virtualdesktops.settings.setRemovedDesktopWindows(
+      removedDesktopWindows.value);
+  removedDesktopWindows.value =
+      virtualdesktops.settings.getRemovedDesktopWindows();
+
   var desktops = document.getElementById('desktops');
   virtualdesktops.settings.setDesktops(parseInt(desktops.value, 10));
   desktops.value = virtualdesktops.settings.getDesktops();
+  updateRemovedDesktops();
+
+  var perDisplayDesktops = document.getElementById('per-display-desktops');
+  virtualdesktops.settings.setPerDisplayDesktops(perDisplayDesktops.checked);
+
+  var altTab = document.getElementById('alt-tab');
+  virtualdesktops.settings.setAltTabMode(altTab.value);
+  altTab.value = virtualdesktops.settings.getAltTabMode();
+
+  for (var d = 0; d < virtualdesktops.settings.getDesktops(); ++d) {
+    var name = document.getElementById('desktop-name-' + d);
+    var color = document.getElementById('desktop-color-' + d);
+    if (name == null || color == null) {
+      continue;
+    }
+    virtualdesktops.settings.setDesktopName(d, name.value);
+    virtualdesktops.settings.setDesktopColor(d, color.value);
+  }
+  // The desktop count may have been clamped, so the fields need to follow.
+  createDesktopNameFields();
+
+  virtualdesktops.settings.setLayouts(readLayouts());
+  createLayoutRows();
+
+  virtualdesktops.settings.setWindowRules(readWindowRules());
+  createWindowRuleRows();
+
+  var externalExtensionIds = document.getElementById('external-extension-ids');
+  virtualdesktops.settings.setExternalExtensionIds(
+      externalExtensionIds.value.split(/\s+/).filter(function(id) {
+        return id != '';
+      }));
+  externalExtensionIds.value =
+      virtualdesktops.settings.getExternalExtensionIds().join('\n');
 
   // Show a status message for a short period of time, then remove it again.
   var status = document.getElementById('status');
@@ -56,7 +104,405 @@ function saveOptions() {
 
 
 /**
- * Sets up event handlers, and restore the options from the localStorage values
+ * Offers the choice what to do with the windows on removed desktops only while
+ * the number of desktops is lower than the stored one.
+ * @private
+ */
+function updateRemovedDesktops() {
+  var desktops = parseInt(document.getElementById('desktops').value, 10);
+  document.getElementById('removed-desktops').hidden =
+      !(desktops < virtualdesktops.settings.getDesktops());
+}
+
+
+/**
+ * Creates the name and color fields for each desktop, filled with the stored
+ * settings. The number of fields follows the current value of the desktops
+ * field, so the user can name new desktops before saving.
+ * @private
+ */
+function createDesktopNameFields() {
+  var container = document.getElementById('desktop-names');
+
+  // Keep what the user already typed in, as this is also called when just
+  // changing the number of desktops.
+  var names = {};
+  var colors = {};
+  var inputs = container.querySelectorAll('input');
+  for (var i = 0; i < inputs.length; ++i) {
+    if (inputs[i].type == 'color') {
+      colors[inputs[i].id] = inputs[i].value;
+    } else {
+      names[inputs[i].id] = inputs[i].value;
+    }
+  }
+  while (container.firstChild) {
+    container.removeChild(container.firstChild);
+  }
+
+  var desktops = parseInt(document.getElementById('desktops').value, 10);
+  if (isNaN(desktops)) {
+    desktops = virtualdesktops.settings.getDesktops();
+  }
+  for (var d = 0; d < desktops; ++d) {
+    var label = document.createElement('label');
+    label.htmlFor = 'desktop-name-' + d;
+    label.textContent = 'Desktop ' + (d + 1) + ':';
+    container.appendChild(label);
+
+    var name = document.createElement('input');
+    name.type = 'text';
+    name.id = 'desktop-name-' + d;
+    name.placeholder = 'Desktop ' + (d + 1);
+    if (name.id in names) {
+      name.value = names[name.id];
+    } else if (virtualdesktops.settings.getDesktopName(d) != name.placeholder) {
+      name.value = virtualdesktops.settings.getDesktopName(d);
+    }
+    container.appendChild(name);
+
+    var color = document.createElement('input');
+    color.type = 'color';
+    color.id = 'desktop-color-' + d;
+    color.title = 'Accent color';
+    color.value = colors[color.id] ||
+        virtualdesktops.settings.getDesktopColor(d);
+    container.appendChild(color);
+
+    container.appendChild(document.createElement('br'));
+  }
+}
+
+
+/**
+ * Names of the layout fields, in the order of the columns of the layouts table.
+ * @const {!Array<string>}
+ */
+var LAYOUT_FIELDS = ['name', 'key', 'x', 'y', 'w', 'h'];
+
+
+/**
+ * Adds a row of layout fields to the layouts table.
+ * @private
+ * @param {?virtualdesktops.Layout} layout The layout to fill in, or null for an
+ *     empty row.
+ */
+function addLayoutRow(layout) {
+  var r = document.createElement('tr');
+  r.classList.add('layout');
+  for (var i = 0; i < LAYOUT_FIELDS.length; ++i) {
+    var c = document.createElement('td');
+    var input = document.createElement('input');
+    input.name = LAYOUT_FIELDS[i];
+    if (i >= 2) {
+      input.type = 'number';
+      input.min = '0';
+      input.max = '100';
+    } else if (LAYOUT_FIELDS[i] == 'key') {
+      input.maxLength = 1;
+      input.addEventListener('input', updateLayoutWarning);
+    }
+    if (layout != null) {
+      input.value = layout[LAYOUT_FIELDS[i]];
+    }
+    input.addEventListener('input', updateLayoutPreview);
+    c.appendChild(input);
+    r.appendChild(c);
+  }
+  var c = document.createElement('td');
+  var remove = document.createElement('button');
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', function() {
+    r.parentNode.removeChild(r);
+    updateLayoutPreview();
+    updateLayoutWarning();
+  });
+  c.appendChild(remove);
+  r.appendChild(c);
+  document.getElementById('layouts').appendChild(r);
+}
+
+
+/**
+ * Reads the layouts from the layouts table.
+ * @private
+ * @return {!Array<!virtualdesktops.Layout>} The layouts, which may be invalid.
+ */
+function readLayouts() {
+  var rows = document.querySelectorAll('#layouts tr.layout');
+  var layouts = [];
+  for (var i = 0; i < rows.length; ++i) {
+    var get = function(field) {
+      return rows[i].querySelector('input[name=' + field + ']').value;
+    };
+    layouts.push({
+      name: get('name'),
+      key: get('key').toLowerCase(),
+      x: parseFloat(get('x')),
+      y: parseFloat(get('y')),
+      w: parseFloat(get('w')),
+      h: parseFloat(get('h'))
+    });
+  }
+  return layouts;
+}
+
+
+/**
+ * Fills the layouts table from the stored settings.
+ * @private
+ */
+function createLayoutRows() {
+  var rows = document.querySelectorAll('#layouts tr.layout');
+  for (var i = 0; i < rows.length; ++i) {
+    rows[i].parentNode.removeChild(rows[i]);
+  }
+  var layouts = virtualdesktops.settings.getLayouts();
+  for (var i = 0; i < layouts.length; ++i) {
+    addLayoutRow(layouts[i]);
+  }
+  updateLayoutPreview();
+  updateLayoutWarning();
+}
+
+
+/**
+ * Warns about layouts whose key the browser action uses for another button, as
+ * the key then doesn't select the layout.
+ * @private
+ */
+function updateLayoutWarning() {
+  var boundKeyCaps = virtualdesktops.popupKeys.getBoundKeyCaps();
+  var keys = readLayouts().filter(function(layout) {
+    return boundKeyCaps.indexOf(layout.key) >= 0;
+  }).map(function(layout) {
+    return layout.key;
+  });
+  document.getElementById('layout-warning').textContent =
+      keys.length == 0 ? '' :
+      'The keys ' + keys.join(', ') + ' are used by the grid or the desktops ' +
+      'in the browser action, so they don\'t select layouts.';
+}
+
+
+/**
+ * Draws the layouts from the layouts table onto a miniature screen.
+ * @private
+ */
+function updateLayoutPreview() {
+  var preview = document.getElementById('layout-preview');
+  while (preview.firstChild) {
+    preview.removeChild(preview.firstChild);
+  }
+  var layouts = readLayouts();
+  for (var i = 0; i < layouts.length; ++i) {
+    var layout = layouts[i];
+    if (isNaN(layout.x) || isNaN(layout.y) ||
+        isNaN(layout.w) || isNaN(layout.h)) {
+      continue;
+    }
+    var d = document.createElement('div');
+    d.style.left = layout.x + '%';
+    d.style.top = layout.y + '%';
+    d.style.width = layout.w + '%';
+    d.style.height = layout.h + '%';
+    d.textContent = (layout.key + ' ' + layout.name).trim();
+    preview.appendChild(d);
+  }
+}
+
+
+/**
+ * Choices for the incognito column of the window rules table, by the value of
+ * the incognito field of a window rule.
+ * @const {!Object<string, string>}
+ */
+var WINDOW_RULE_INCOGNITO_CHOICES = {
+  'null': 'Any',
+  'false': 'No',
+  'true': 'Yes'
+};
+
+
+/**
+ * Choices for the type column of the window rules table, by the value of the
+ * type field of a window rule.
+ * @const {!Object<string, string>}
+ */
+var WINDOW_RULE_TYPE_CHOICES = {
+  '': 'Any',
+  'normal': 'Normal',
+  'popup': 'Popup',
+  'app': 'App'
+};
+
+
+/**
+ * Adds a row of window rule fields to the window rules table. Desktops and
+ * grid cells are numbered from 1, as in the browser action.
+ * @private
+ * @param {?virtualdesktops.WindowRule} rule The rule to fill in, or null for an
+ *     empty row.
+ */
+function addWindowRuleRow(rule) {
+  var r = document.createElement('tr');
+  r.classList.add('window-rule');
+  var addCell = function(element) {
+    var c = document.createElement('td');
+    c.appendChild(element);
+    r.appendChild(c);
+  };
+  var addSelect = function(name, choices, value) {
+    var select = document.createElement('select');
+    select.name = name;
+    for (var key in choices) {
+      var option = document.createElement('option');
+      option.value = key;
+      option.textContent = choices[key];
+      select.appendChild(option);
+    }
+    select.value = value;
+    addCell(select);
+  };
+  var addNumber = function(name, value, min) {
+    var input = document.createElement('input');
+    input.name = name;
+    input.type = 'number';
+    input.min = String(min);
+    if (value != null) {
+      input.value = value;
+    }
+    addCell(input);
+  };
+
+  var pattern = document.createElement('input');
+  pattern.name = 'pattern';
+  pattern.placeholder = '*://example.com/*';
+  if (rule != null) {
+    pattern.value = rule.pattern;
+  }
+  addCell(pattern);
+  addSelect('incognito', WINDOW_RULE_INCOGNITO_CHOICES,
+      rule != null ? String(rule.incognito) : 'null');
+  addSelect('type', WINDOW_RULE_TYPE_CHOICES, rule != null ? rule.type : '');
+  addNumber('desktop', rule != null ? rule.desktop + 1 : 1, 1);
+  var hasCell = rule != null && rule.x != null;
+  addNumber('x', hasCell ? rule.x + 1 : null, 1);
+  addNumber('y', hasCell ? rule.y + 1 : null, 1);
+  addNumber('w', hasCell ? rule.w : null, 1);
+  addNumber('h', hasCell ? rule.h : null, 1);
+
+  var remove = document.createElement('button');
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', function() {
+    r.parentNode.removeChild(r);
+  });
+  addCell(remove);
+  document.getElementById('window-rules').appendChild(r);
+}
+
+
+/**
+ * Reads the window rules from the window rules table. Rules without a pattern
+ * are skipped, and the grid position is only kept if all of its fields are
+ * filled in.
+ * @private
+ * @return {!Array<!virtualdesktops.WindowRule>} The rules, which may be
+ *     invalid.
+ */
+function readWindowRules() {
+  var rows = document.querySelectorAll('#window-rules tr.window-rule');
+  var rules = [];
+  for (var i = 0; i < rows.length; ++i) {
+    var get = function(field) {
+      return rows[i].querySelector('[name=' + field + ']').value;
+    };
+    var pattern = get('pattern').trim();
+    if (pattern == '') {
+      continue;
+    }
+    var rule = {
+      pattern: pattern,
+      incognito: /** @type {?boolean} */ (JSON.parse(get('incognito'))),
+      type: get('type'),
+      desktop: parseInt(get('desktop'), 10) - 1,
+      x: parseInt(get('x'), 10) - 1,
+      y: parseInt(get('y'), 10) - 1,
+      w: parseInt(get('w'), 10),
+      h: parseInt(get('h'), 10)
+    };
+    if (isNaN(rule.x) || isNaN(rule.y) || isNaN(rule.w) || isNaN(rule.h)) {
+      rule.x = rule.y = rule.w = rule.h = null;
+    }
+    rules.push(rule);
+  }
+  return rules;
+}
+
+
+/**
+ * Fills the window rules table from the stored settings.
+ * @private
+ */
+function createWindowRuleRows() {
+  var rows = document.querySelectorAll('#window-rules tr.window-rule');
+  for (var i = 0; i < rows.length; ++i) {
+    rows[i].parentNode.removeChild(rows[i]);
+  }
+  var rules = virtualdesktops.settings.getWindowRules();
+  for (var i = 0; i < rules.length; ++i) {
+    addWindowRuleRow(rules[i]);
+  }
+}
+
+
+/**
+ * Fills the snapshots table with the snapshots known to the background page.
+ * @private
+ */
+function createSnapshotRows() {
+  virtualdesktops.client.listSnapshots(function(snapshots) {
+    var table = document.getElementById('snapshots');
+    var rows = table.querySelectorAll('tr.snapshot');
+    for (var i = 0; i < rows.length; ++i) {
+      table.removeChild(rows[i]);
+    }
+    snapshots.forEach(function(snapshot) {
+      var r = document.createElement('tr');
+      r.classList.add('snapshot');
+      var texts = [
+        snapshot['name'],
+        new Date(snapshot['created']).toLocaleString(),
+        snapshot['windowCount']
+      ];
+      for (var i = 0; i < texts.length; ++i) {
+        var c = document.createElement('td');
+        c.textContent = texts[i];
+        r.appendChild(c);
+      }
+      var c = document.createElement('td');
+      var restore = document.createElement('button');
+      restore.textContent = 'Restore';
+      restore.addEventListener('click', function() {
+        virtualdesktops.client.restoreSnapshot(snapshot['name'], function() {});
+      });
+      c.appendChild(restore);
+      var remove = document.createElement('button');
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', function() {
+        virtualdesktops.client.deleteSnapshot(snapshot['name'],
+            createSnapshotRows);
+      });
+      c.appendChild(remove);
+      r.appendChild(c);
+      table.appendChild(r);
+    });
+  });
+}
+
+
+/**
+ * Sets up event handlers, and restore the options from the stored settings
  * to the form fields.
  * @private
  */
@@ -78,7 +524,49 @@ function init() {
 
   var desktops = document.getElementById('desktops');
   desktops.value = virtualdesktops.settings.getDesktops();
+  desktops.addEventListener('input', createDesktopNameFields);
+  desktops.addEventListener('input', updateRemovedDesktops);
+  createDesktopNameFields();
+
+  var removedDesktopWindows =
+      document.getElementById('removed-desktop-windows');
+  removedDesktopWindows.value =
+      virtualdesktops.settings.getRemovedDesktopWindows();
+
+  var perDisplayDesktops = document.getElementById('per-display-desktops');
+  perDisplayDesktops.checked =
+      virtualdesktops.settings.getPerDisplayDesktops();
+
+  var altTab = document.getElementById('alt-tab');
+  altTab.value = virtualdesktops.settings.getAltTabMode();
+
+  document.querySelector('#add-layout').addEventListener('click', function() {
+    addLayoutRow(null);
+  });
+  createLayoutRows();
+
+  document.querySelector('#add-window-rule').addEventListener('click',
+      function() {
+        addWindowRuleRow(null);
+      });
+  createWindowRuleRows();
+
+  var externalExtensionIds = document.getElementById('external-extension-ids');
+  externalExtensionIds.value =
+      virtualdesktops.settings.getExternalExtensionIds().join('\n');
+
+  document.querySelector('#save-snapshot').addEventListener('click',
+      function() {
+        var name = document.getElementById('snapshot-name').value.trim();
+        if (name == '') {
+          return;
+        }
+        virtualdesktops.client.saveSnapshot(name, createSnapshotRows);
+      });
+  createSnapshotRows();
 }
 
 
-document.addEventListener('DOMContentLoaded', init);
+document.addEventListener('DOMContentLoaded', function() {
+  virtualdesktops.store.init(init);
+});
@@ -0,0 +1,147 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+/**
+ * @fileoverview The keys of the browser action popup, shared with the options
+ * page so it can tell which keys are free for the user-defined layouts.
+ * @package
+ */
+goog.provide('virtualdesktops.popupKeys');
+
+goog.require('virtualdesktops.settings');
+
+
+/**
+ * Map from coordinates to keyboard positions, so that KEY_BY_POS[row][col]
+ * identifies keys on a rectangle on the keyboard.
+ * TODO(rpolzer): Turn into settings, as this is layout dependent.
+ * @const {!Array<!Array<number>>}
+ */
+virtualdesktops.popupKeys.KEYCODE_BY_POS = [
+  [81, 87, 69, 82, 84, 89, 85, 73, 79, 80],
+  [65, 83, 68, 70, 71, 72, 74, 75, 76, 186],
+  [90, 88, 67, 86, 66, 78, 77, 188, 190, 191]
+];
+
+
+/**
+ * Map from coordinates to key caps, as printed on Chromebook keyboards.
+ * Matches KEYCODE_BY_POS in indexes.
+ * @const {!Array<string>}
+ */
+virtualdesktops.popupKeys.KEYCAP_BY_POS = [
+  'qwertyuiop',
+  'asdfghjkl;',
+  'zxcvbnm,./'
+];
+
+
+/**
+ * Key codes of the digit keys 1, 2, ..., 9, 0, used to go to desktops by
+ * number. Index i of this array selects desktop i.
+ * @const {!Array<number>}
+ */
+virtualdesktops.popupKeys.KEYCODE_BY_DESKTOP =
+    [49, 50, 51, 52, 53, 54, 55, 56, 57, 48];
+
+
+/**
+ * Yields the number of positions and sizes of windows along n rows or columns.
+ * This is the following sum: 1 + 2 + ... + n.
+ * @private
+ * @param {number} n The number of rows/columns.
+ * @return {number}
+ */
+virtualdesktops.popupKeys.positionCount_ = function(n) {
+  return n * (n + 1) / 2;
+};
+
+
+/**
+ * Finds out whether the popup shows the cells of the grid, as there are not
+ * enough keys for a button per position and size.
+ * @return {boolean}
+ */
+virtualdesktops.popupKeys.usesCellGrid = function() {
+  var keys = virtualdesktops.popupKeys.KEYCODE_BY_POS;
+  return virtualdesktops.popupKeys.positionCount_(
+          virtualdesktops.settings.getRows()) > keys.length ||
+      virtualdesktops.popupKeys.positionCount_(
+          virtualdesktops.settings.getColumns()) > keys[0].length;
+};
+
+
+/**
+ * Finds the key that selects a given cell of the cell grid.
+ * If the grid fits on the keyboard, the cells map to the keys at the same
+ * position; otherwise, the keys are assigned row by row. The grid has no more
+ * cells than there are keys, see virtualdesktops.settings.MAX_CELLS.
+ * @param {number} row The 0-based row of the cell.
+ * @param {number} column The 0-based column of the cell.
+ * @return {{row: number, column: number}} Indexes into KEYCODE_BY_POS and
+ *     KEYCAP_BY_POS.
+ */
+virtualdesktops.popupKeys.keyForCell = function(row, column) {
+  var keyRows = virtualdesktops.popupKeys.KEYCODE_BY_POS.length;
+  var keyColumns = virtualdesktops.popupKeys.KEYCODE_BY_POS[0].length;
+  if (virtualdesktops.settings.getRows() <= keyRows &&
+      virtualdesktops.settings.getColumns() <= keyColumns) {
+    return {row: row, column: column};
+  }
+  var i = row * virtualdesktops.settings.getColumns() + column;
+  return {row: Math.floor(i / keyColumns), column: i % keyColumns};
+};
+
+
+/**
+ * Lists the key caps of the keys the popup binds for the current grid size and
+ * number of desktops. User-defined layouts can't use these.
+ * @return {!Array<string>} The key caps, in lower case.
+ */
+virtualdesktops.popupKeys.getBoundKeyCaps = function() {
+  var keyCaps = [];
+  var rows = virtualdesktops.settings.getRows();
+  var columns = virtualdesktops.settings.getColumns();
+  if (rows > 1 || columns > 1) {
+    if (virtualdesktops.popupKeys.usesCellGrid()) {
+      for (var i = 0; i < rows; ++i) {
+        for (var j = 0; j < columns; ++j) {
+          var key = virtualdesktops.popupKeys.keyForCell(i, j);
+          keyCaps.push(
+              virtualdesktops.popupKeys.KEYCAP_BY_POS[key.row][key.column]);
+        }
+      }
+    } else {
+      var icount = virtualdesktops.popupKeys.positionCount_(rows);
+      var jcount = virtualdesktops.popupKeys.positionCount_(columns);
+      for (var i = 0; i < icount; ++i) {
+        keyCaps = keyCaps.concat(
+            virtualdesktops.popupKeys.KEYCAP_BY_POS[i].substr(0, jcount)
+                .split(''));
+      }
+    }
+  }
+  var desktops = virtualdesktops.settings.getDesktops();
+  if (desktops > 1) {
+    for (var d = 0; d < desktops; ++d) {
+      keyCaps.push(String.fromCharCode(
+          virtualdesktops.popupKeys.KEYCODE_BY_DESKTOP[d]));
+    }
+  }
+  return keyCaps;
+};
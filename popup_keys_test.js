@@ -0,0 +1,75 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+/**
+ * @fileoverview Unit test for popupKeys.
+ * @package
+ */
+goog.setTestOnly();
+
+goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops.popupKeys');
+goog.require('virtualdesktops.settings');
+
+
+/**
+ * Tests whether the keys of the size buttons and the desktops are bound.
+ */
+function testSizeButtonKeys() {
+  virtualdesktops.settings.setRows(2);
+  virtualdesktops.settings.setColumns(3);
+  virtualdesktops.settings.setDesktops(4);
+  assertFalse(virtualdesktops.popupKeys.usesCellGrid());
+  assertSameElements('qwertyasdfghzxcvbn1234'.split(''),
+      virtualdesktops.popupKeys.getBoundKeyCaps());
+}
+
+
+/**
+ * Tests whether the keys of the cells are bound when the grid is too large for
+ * size buttons.
+ */
+function testCellKeys() {
+  virtualdesktops.settings.setRows(3);
+  virtualdesktops.settings.setColumns(4);
+  virtualdesktops.settings.setDesktops(1);
+  assertTrue(virtualdesktops.popupKeys.usesCellGrid());
+  assertObjectEquals({row: 2, column: 3},
+      virtualdesktops.popupKeys.keyForCell(2, 3));
+  assertSameElements('qwerasdfzxcv'.split(''),
+      virtualdesktops.popupKeys.getBoundKeyCaps());
+
+  // The columns are limited so each cell has a key, assigned row by row.
+  virtualdesktops.settings.setRows(6);
+  virtualdesktops.settings.setColumns(8);
+  assertEquals(5, virtualdesktops.settings.getColumns());
+  assertObjectEquals({row: 2, column: 9},
+      virtualdesktops.popupKeys.keyForCell(5, 4));
+  assertEquals(30, virtualdesktops.popupKeys.getBoundKeyCaps().length);
+}
+
+
+/**
+ * Tests whether no keys are bound without a grid or desktops to choose from.
+ */
+function testNoKeys() {
+  virtualdesktops.settings.setRows(1);
+  virtualdesktops.settings.setColumns(1);
+  virtualdesktops.settings.setDesktops(1);
+  assertObjectEquals([], virtualdesktops.popupKeys.getBoundKeyCaps());
+}
@@ -0,0 +1,104 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+
+/**
+ * @fileoverview Functions to remember which tabs were active most recently, so
+ * one can go back to the tab one was just on.
+ *
+ * The tabs are kept in the local storage area, so they survive the background
+ * service worker being stopped when idle. Tab IDs change when the browser
+ * restarts, so they must be cleared then.
+ * @package
+ */
+goog.provide('virtualdesktops.recentTabs');
+
+goog.require('virtualdesktops.store');
+
+
+/**
+ * @const {string} Key in the local storage area to store the recent tabs.
+ * @private
+ */
+virtualdesktops.recentTabs.KEY_ = 'recent-tabs';
+
+
+/**
+ * Maximum number of tabs to remember. More than two are remembered so that
+ * closing the previously active tab still leaves one to go back to.
+ * @const {number}
+ * @private
+ */
+virtualdesktops.recentTabs.MAX_TABS_ = 10;
+
+
+/**
+ * Reads the recently active tabs. Anything that is not a valid list of tab IDs
+ * is treated as an empty one.
+ * @private
+ * @return {!Array<number>} The IDs of the tabs, the most recently active first.
+ */
+virtualdesktops.recentTabs.get_ = function() {
+  var value = virtualdesktops.store.get(
+      virtualdesktops.store.Area.LOCAL, virtualdesktops.recentTabs.KEY_);
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value.filter(function(tabId) {
+    return typeof tabId == 'number';
+  });
+};
+
+
+/**
+ * Records that a tab has become active.
+ * @param {number} tabId The ID of the tab.
+ */
+virtualdesktops.recentTabs.activated = function(tabId) {
+  var tabIds = virtualdesktops.recentTabs.get_().filter(function(id) {
+    return id != tabId;
+  });
+  tabIds.unshift(tabId);
+  virtualdesktops.store.set(virtualdesktops.store.Area.LOCAL,
+      virtualdesktops.recentTabs.KEY_,
+      tabIds.slice(0, virtualdesktops.recentTabs.MAX_TABS_));
+};
+
+
+/**
+ * Finds the tab that was active most recently before a given one.
+ * @param {number} tabId The ID of the tab, usually the active one.
+ * @param {function(number): boolean} exists Function that tells whether a tab
+ *     still exists, so closed tabs can be skipped.
+ * @return {?number} The ID of the tab, or null if there is none.
+ */
+virtualdesktops.recentTabs.getPrevious = function(tabId, exists) {
+  var tabIds = virtualdesktops.recentTabs.get_().filter(function(id) {
+    return id != tabId && exists(id);
+  });
+  return tabIds.length == 0 ? null : tabIds[0];
+};
+
+
+/**
+ * Forgets all recently active tabs.
+ */
+virtualdesktops.recentTabs.clear = function() {
+  virtualdesktops.store.remove(
+      virtualdesktops.store.Area.LOCAL, virtualdesktops.recentTabs.KEY_);
+};
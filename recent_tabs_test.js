@@ -0,0 +1,80 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+
+/**
+ * @fileoverview Unit test for remembering the recently active tabs.
+ * @package
+ */
+goog.setTestOnly();
+
+goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops.recentTabs');
+
+
+/**
+ * Tells that every tab exists.
+ * @return {boolean} Always true.
+ */
+function allExist() {
+  return true;
+}
+
+
+/**
+ * Starts each test without any recently active tabs.
+ */
+function setUp() {
+  virtualdesktops.recentTabs.clear();
+}
+
+
+/**
+ * Tests whether the tab active before the given one is found.
+ */
+function testGetPrevious() {
+  assertNull(virtualdesktops.recentTabs.getPrevious(1, allExist));
+
+  virtualdesktops.recentTabs.activated(1);
+  assertNull(virtualdesktops.recentTabs.getPrevious(1, allExist));
+  virtualdesktops.recentTabs.activated(2);
+  virtualdesktops.recentTabs.activated(3);
+  assertEquals(2, virtualdesktops.recentTabs.getPrevious(3, allExist));
+
+  // Going back to a tab makes it the most recent one.
+  virtualdesktops.recentTabs.activated(1);
+  assertEquals(3, virtualdesktops.recentTabs.getPrevious(1, allExist));
+  // The active tab may not have been recorded yet.
+  assertEquals(1, virtualdesktops.recentTabs.getPrevious(4, allExist));
+}
+
+
+/**
+ * Tests whether closed tabs are skipped.
+ */
+function testSkipClosedTabs() {
+  virtualdesktops.recentTabs.activated(1);
+  virtualdesktops.recentTabs.activated(2);
+  virtualdesktops.recentTabs.activated(3);
+  assertEquals(1, virtualdesktops.recentTabs.getPrevious(3, function(tabId) {
+    return tabId != 2;
+  }));
+  assertNull(virtualdesktops.recentTabs.getPrevious(3, function(tabId) {
+    return tabId == 3;
+  }));
+}
@@ -29,5 +29,27 @@ virtualdesktops.RequestType = {
   SWITCH_TO_NEXT_DESKTOP: 'switchToNextDesktop',
   SWITCH_TO_PREVIOUS_DESKTOP: 'switchToPreviousDesktop',
   CURRENT_TO_NEXT_DESKTOP: 'currentToNextDesktop',
-  CURRENT_TO_PREVIOUS_DESKTOP: 'currentToPreviousDesktop'
+  CURRENT_TO_PREVIOUS_DESKTOP: 'currentToPreviousDesktop',
+  SWITCH_TO_DESKTOP: 'switchToDesktop',
+  SEND_TO_DESKTOP: 'sendToDesktop',
+  GET_OVERVIEW: 'getOverview',
+  FOCUS_WINDOW: 'focusWindow',
+  SEND_WINDOW_TO_DESKTOP: 'sendWindowToDesktop',
+  QUERY_DESKTOPS: 'queryDesktops',
+  ARRANGE_DESKTOP: 'arrangeDesktop',
+  MOVE_TO_NEXT_DISPLAY: 'moveToNextDisplay',
+  MOVE_TO_PREVIOUS_DISPLAY: 'moveToPreviousDisplay',
+  SAVE_SNAPSHOT: 'saveSnapshot',
+  RESTORE_SNAPSHOT: 'restoreSnapshot',
+  DELETE_SNAPSHOT: 'deleteSnapshot',
+  LIST_SNAPSHOTS: 'listSnapshots',
+  SET_WINDOW_STICKY: 'setWindowSticky',
+  UNDO: 'undo',
+  REDO: 'redo',
+  MOVE_DESKTOP_WINDOWS: 'moveDesktopWindows',
+  SWAP_DESKTOPS: 'swapDesktops',
+  INSERT_DESKTOP: 'insertDesktop',
+  DELETE_DESKTOP: 'deleteDesktop',
+  SEND_TAB_TO_DESKTOP: 'sendTabToDesktop',
+  SPLIT_WITH_PREVIOUS_TAB: 'splitWithPreviousTab'
 };
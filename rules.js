@@ -0,0 +1,94 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+/**
+ * @fileoverview Functions to find the window rule that applies to a window.
+ * @package
+ */
+goog.provide('virtualdesktops.rules');
+
+goog.require('virtualdesktops.WindowRule');
+
+
+/**
+ * Checks whether a URL matches the pattern of a window rule.
+ * Patterns enclosed in slashes are regular expressions, which may match any
+ * part of the URL. All other patterns are globs, which must match the whole
+ * URL: '*' matches any number of characters, and '?' a single one.
+ * @param {string} pattern The pattern, e.g. '*://meet.google.com/*'.
+ * @param {string} url The URL.
+ * @return {boolean} Whether the URL matches. Invalid regular expressions match
+ *     nothing.
+ */
+virtualdesktops.rules.matchesUrl = function(pattern, url) {
+  var regExp;
+  if (pattern.length >= 2 && pattern[0] == '/' &&
+      pattern[pattern.length - 1] == '/') {
+    try {
+      regExp = new RegExp(pattern.slice(1, -1));
+    } catch (e) {
+      console.log('Invalid regular expression in window rule: ' + pattern);
+      return false;
+    }
+  } else {
+    var source = pattern.replace(/[\\^$.+()|{}\[\]]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    regExp = new RegExp('^' + source + '$');
+  }
+  return regExp.test(url);
+};
+
+
+/**
+ * Finds the URL of the active tab of a window. Tabs that have not started
+ * loading yet only have a pending URL.
+ * @param {!ChromeWindow} win The window, including its tabs.
+ * @return {string} The URL, or the empty string if it is not known yet.
+ */
+virtualdesktops.rules.activeUrlOf = function(win) {
+  var tabs = win.tabs || [];
+  var tab = tabs.filter(function(t) {
+    return t.active;
+  })[0] || tabs[0];
+  if (tab == null) {
+    return '';
+  }
+  return tab.url || tab.pendingUrl || '';
+};
+
+
+/**
+ * Finds the first rule a window matches.
+ * @param {!Array<!virtualdesktops.WindowRule>} rules The rules, in order of
+ *     precedence.
+ * @param {!ChromeWindow} win The window, including its tabs.
+ * @return {?virtualdesktops.WindowRule} The rule, or null if none matches.
+ */
+virtualdesktops.rules.find = function(rules, win) {
+  var url = virtualdesktops.rules.activeUrlOf(win);
+  for (var i = 0; i < rules.length; ++i) {
+    var rule = rules[i];
+    if ((rule.incognito == null || rule.incognito == win.incognito) &&
+        (rule.type == '' || rule.type == win.type) &&
+        virtualdesktops.rules.matchesUrl(rule.pattern, url)) {
+      return rule;
+    }
+  }
+  return null;
+};
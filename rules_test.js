@@ -0,0 +1,94 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+/**
+ * @fileoverview Unit test for rules.
+ * @package
+ */
+goog.setTestOnly();
+
+goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops.rules');
+
+
+/**
+ * Creates a window with a single active tab for use by this test.
+ * @param {string} url URL of the tab.
+ * @param {boolean} incognito Whether the window is incognito.
+ * @return {!ChromeWindow}
+ */
+function createWindow(url, incognito) {
+  return /** @type {!ChromeWindow} */ ({
+    id: 1,
+    incognito: incognito,
+    type: 'normal',
+    tabs: [{id: 100, index: 0, url: url, active: true}]
+  });
+}
+
+
+/**
+ * Tests whether globs have to match the whole URL.
+ */
+function testMatchesGlob() {
+  var pattern = '*://meet.google.com/*';
+  assertTrue(virtualdesktops.rules.matchesUrl(pattern,
+      'https://meet.google.com/abc-defg-hij'));
+  assertFalse(virtualdesktops.rules.matchesUrl(pattern,
+      'https://www.google.com/?q=meet.google.com/'));
+  // Dots are no wildcards.
+  assertFalse(virtualdesktops.rules.matchesUrl(pattern,
+      'https://meetxgoogle.com/'));
+  assertTrue(virtualdesktops.rules.matchesUrl('https://example.com/?',
+      'https://example.com/a'));
+}
+
+
+/**
+ * Tests whether regular expressions may match any part of the URL, and
+ * invalid ones match nothing.
+ */
+function testMatchesRegExp() {
+  assertTrue(virtualdesktops.rules.matchesUrl('/mail\\.google/',
+      'https://mail.google.com/mail/u/0/'));
+  assertFalse(virtualdesktops.rules.matchesUrl('/^mail/',
+      'https://mail.google.com/'));
+  assertFalse(virtualdesktops.rules.matchesUrl('/(/', 'https://example.com/'));
+}
+
+
+/**
+ * Tests whether the first matching rule is found, considering the incognito
+ * flag and window type.
+ */
+function testFind() {
+  var rules = [
+    {pattern: '*', incognito: true, type: '', desktop: 3,
+      x: null, y: null, w: null, h: null},
+    {pattern: '*://example.com/*', incognito: null, type: 'popup', desktop: 2,
+      x: null, y: null, w: null, h: null},
+    {pattern: '*://example.com/*', incognito: null, type: '', desktop: 1,
+      x: 1, y: 0, w: 1, h: 2}
+  ];
+  assertEquals(rules[2], virtualdesktops.rules.find(
+      rules, createWindow('https://example.com/', false)));
+  assertEquals(rules[0], virtualdesktops.rules.find(
+      rules, createWindow('https://example.com/', true)));
+  assertNull(virtualdesktops.rules.find(
+      rules, createWindow('https://example.org/', false)));
+}
@@ -0,0 +1,49 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @package
+ */
+goog.provide('virtualdesktops.SessionSnapshot');
+goog.provide('virtualdesktops.SessionSnapshotWindow');
+
+
+/**
+ * A window as recorded in a session snapshot. The tabs are given in order,
+ * with their URL and whether they are pinned.
+ * @typedef {{
+ *   tabs: !Array<{url: string, pinned: boolean}>,
+ *   incognito: boolean,
+ *   state: string,
+ *   x: number,
+ *   y: number,
+ *   w: number,
+ *   h: number
+ * }} */
+virtualdesktops.SessionSnapshotWindow;
+
+
+/**
+ * A named record of all windows and the desktops they are on. The windows are
+ * listed per desktop, and created is the time the snapshot was taken, in
+ * milliseconds since the epoch.
+ * @typedef {{
+ *   name: string,
+ *   created: number,
+ *   desktops: !Array<!Array<!virtualdesktops.SessionSnapshotWindow>>
+ * }} */
+virtualdesktops.SessionSnapshot;
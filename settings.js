@@ -20,6 +20,32 @@
  */
 goog.provide('virtualdesktops.settings');
 
+goog.require('virtualdesktops.Layout');
+goog.require('virtualdesktops.WindowRule');
+goog.require('virtualdesktops.store');
+
+
+/**
+ * Reads a preference.
+ * @private
+ * @param {string} key The key of the preference.
+ * @return {*} The stored value, or undefined if there is none.
+ */
+virtualdesktops.settings.get_ = function(key) {
+  return virtualdesktops.store.get(virtualdesktops.store.Area.SYNC, key);
+};
+
+
+/**
+ * Writes a preference.
+ * @private
+ * @param {string} key The key of the preference.
+ * @param {*} value The new value. Must be JSON serializable.
+ */
+virtualdesktops.settings.set_ = function(key, value) {
+  virtualdesktops.store.set(virtualdesktops.store.Area.SYNC, key, value);
+};
+
 
 /**
  * Clamps a value between a minimum and maximum. If the value is not a valid
@@ -49,7 +75,7 @@ virtualdesktops.settings.clampDefault_ = function(value, min, max, def) {
  */
 virtualdesktops.settings.getRows = function() {
   return virtualdesktops.settings.clampDefault_(
-      window.localStorage['rows'], 1, 2, 2);
+      virtualdesktops.settings.get_('rows'), 1, 6, 2);
 };
 
 
@@ -59,20 +85,32 @@ virtualdesktops.settings.getRows = function() {
  * @param {number} n Number of rows.
  */
 virtualdesktops.settings.setRows = function(n) {
-  window.localStorage['rows'] = n;
+  virtualdesktops.settings.set_('rows', n);
 };
 
 
+/**
+ * The largest number of cells of the tiling grid. The popup has a key for each
+ * cell, and it has no more keys than this.
+ * @const {number}
+ */
+virtualdesktops.settings.MAX_CELLS = 30;
+
+
 /**
  * Returns the configured number of tiling columns.
  * The configured number is clamped to the supported range on reading, not on
  * writing, to allow for updates to the extension to have a different range.
+ * The range depends on the number of rows, so the grid has no more than
+ * virtualdesktops.settings.MAX_CELLS cells.
  * @package
  * @return {number}
  */
 virtualdesktops.settings.getColumns = function() {
+  var max = Math.min(8, Math.floor(
+      virtualdesktops.settings.MAX_CELLS / virtualdesktops.settings.getRows()));
   return virtualdesktops.settings.clampDefault_(
-      window.localStorage['columns'], 1, 4, 3);
+      virtualdesktops.settings.get_('columns'), 1, max, 3);
 };
 
 
@@ -82,7 +120,7 @@ virtualdesktops.settings.getColumns = function() {
  * @param {number} n Number of columns.
  */
 virtualdesktops.settings.setColumns = function(n) {
-  window.localStorage['columns'] = n;
+  virtualdesktops.settings.set_('columns', n);
 };
 
 
@@ -94,7 +132,7 @@ virtualdesktops.settings.setColumns = function(n) {
  * @return {string}
  */
 virtualdesktops.settings.getGroupBy = function() {
-  var groupBy = window.localStorage['group-by'];
+  var groupBy = virtualdesktops.settings.get_('group-by');
   if (groupBy != 'size' && groupBy != 'origin') {
     return 'size';
   }
@@ -108,9 +146,17 @@ virtualdesktops.settings.getGroupBy = function() {
  * @param {string} groupBy Grouping mode.
  */
 virtualdesktops.settings.setGroupBy = function(groupBy) {
-  window.localStorage['group-by'] = groupBy;
+  virtualdesktops.settings.set_('group-by', groupBy);
 };
 
+
+/**
+ * The maximum number of virtual desktops.
+ * @const {number}
+ */
+virtualdesktops.settings.MAX_DESKTOPS = 10;
+
+
 /**
  * Returns the configured number of virtual desktops.
  * The configured number is clamped to the supported range on reading, not on
@@ -120,7 +166,8 @@ virtualdesktops.settings.setGroupBy = function(groupBy) {
  */
 virtualdesktops.settings.getDesktops = function() {
   return virtualdesktops.settings.clampDefault_(
-      window.localStorage['desktops'], 1, 10, 4);
+      virtualdesktops.settings.get_('desktops'), 1,
+      virtualdesktops.settings.MAX_DESKTOPS, 4);
 };
 
 
@@ -130,5 +177,320 @@ virtualdesktops.settings.getDesktops = function() {
  * @param {number} n Number of desktops.
  */
 virtualdesktops.settings.setDesktops = function(n) {
-  window.localStorage['desktops'] = n;
+  virtualdesktops.settings.set_('desktops', n);
+};
+
+
+/**
+ * Returns what to do with the windows on desktops that are removed by lowering
+ * the number of desktops: 'merge' moves them to the last remaining desktop, and
+ * 'redistribute' spreads them over the remaining desktops.
+ * The configured value is mapped to a supported value on reading, not on
+ * writing, to allow for updates to the extension to have a different values.
+ * @package
+ * @return {string}
+ */
+virtualdesktops.settings.getRemovedDesktopWindows = function() {
+  var mode = virtualdesktops.settings.get_('removed-desktop-windows');
+  if (mode != 'merge' && mode != 'redistribute') {
+    return 'merge';
+  }
+  return mode;
+};
+
+
+/**
+ * Sets what to do with the windows on desktops that are removed by lowering
+ * the number of desktops.
+ * @package
+ * @param {string} mode Either 'merge' or 'redistribute'.
+ */
+virtualdesktops.settings.setRemovedDesktopWindows = function(mode) {
+  virtualdesktops.settings.set_('removed-desktop-windows', mode);
+};
+
+
+/**
+ * Returns whether each display has its own current virtual desktop.
+ * @package
+ * @return {boolean}
+ */
+virtualdesktops.settings.getPerDisplayDesktops = function() {
+  return virtualdesktops.settings.get_('per-display-desktops') === true;
+};
+
+
+/**
+ * Sets whether each display has its own current virtual desktop.
+ * @package
+ * @param {boolean} perDisplay Whether to switch desktops per display.
+ */
+virtualdesktops.settings.setPerDisplayDesktops = function(perDisplay) {
+  virtualdesktops.settings.set_('per-display-desktops', perDisplay);
+};
+
+
+/**
+ * Returns what to do when a window on another desktop gets focused, e.g. via
+ * Alt-Tab: 'follow' switches to the desktop of the window, 'pull' moves the
+ * window to the current desktop, and 'off' does nothing.
+ * The configured value is mapped to a supported value on reading, not on
+ * writing, to allow for updates to the extension to have a different values.
+ * @package
+ * @return {string}
+ */
+virtualdesktops.settings.getAltTabMode = function() {
+  var mode = virtualdesktops.settings.get_('alt-tab');
+  if (mode != 'follow' && mode != 'pull') {
+    return 'off';
+  }
+  return mode;
+};
+
+
+/**
+ * Sets what to do when a window on another desktop gets focused.
+ * @package
+ * @param {string} mode Either 'off', 'follow' or 'pull'.
+ */
+virtualdesktops.settings.setAltTabMode = function(mode) {
+  virtualdesktops.settings.set_('alt-tab', mode);
+};
+
+
+/**
+ * Reads an array preference. Anything that is not an array is treated as an
+ * empty array.
+ * @private
+ * @param {string} key The key of the preference.
+ * @return {!Array<*>} A copy of the stored array.
+ */
+virtualdesktops.settings.getArray_ = function(key) {
+  var value = virtualdesktops.settings.get_(key);
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value.slice();
+};
+
+
+/**
+ * Writes one element of an array preference.
+ * @private
+ * @param {string} key The key of the preference.
+ * @param {number} i The index of the element to set.
+ * @param {*} value The new value of the element.
+ */
+virtualdesktops.settings.setArrayElement_ = function(key, i, value) {
+  var array = virtualdesktops.settings.getArray_(key);
+  array[i] = value;
+  virtualdesktops.settings.set_(key, array);
+};
+
+
+/**
+ * Returns the configured name of a virtual desktop.
+ * Desktops without a configured name are named by their number.
+ * @package
+ * @param {number} desktop The 0-based number of the desktop.
+ * @return {string}
+ */
+virtualdesktops.settings.getDesktopName = function(desktop) {
+  var name = virtualdesktops.settings.getArray_('desktop-names')[desktop];
+  if (typeof name != 'string' || name == '') {
+    return 'Desktop ' + (desktop + 1);
+  }
+  return name;
+};
+
+
+/**
+ * Sets the name of a virtual desktop.
+ * @package
+ * @param {number} desktop The 0-based number of the desktop.
+ * @param {string} name Name of the desktop. An empty string restores the
+ *     default name.
+ */
+virtualdesktops.settings.setDesktopName = function(desktop, name) {
+  virtualdesktops.settings.setArrayElement_('desktop-names', desktop, name);
+};
+
+
+/**
+ * Returns the configured accent color of a virtual desktop.
+ * The configured value is mapped to a supported value on reading, not on
+ * writing, to allow for updates to the extension to have a different values.
+ * @package
+ * @param {number} desktop The 0-based number of the desktop.
+ * @return {string} The color in #rrggbb notation.
+ */
+virtualdesktops.settings.getDesktopColor = function(desktop) {
+  var color = virtualdesktops.settings.getArray_('desktop-colors')[desktop];
+  if (typeof color != 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+    return '#ffffff';
+  }
+  return color.toLowerCase();
+};
+
+
+/**
+ * Sets the accent color of a virtual desktop.
+ * @package
+ * @param {number} desktop The 0-based number of the desktop.
+ * @param {string} color The color in #rrggbb notation.
+ */
+virtualdesktops.settings.setDesktopColor = function(desktop, color) {
+  virtualdesktops.settings.setArrayElement_('desktop-colors', desktop, color);
+};
+
+
+/**
+ * Reorders the virtual desktops, i.e. their names and accent colors, and sets
+ * the number of desktops accordingly.
+ * @package
+ * @param {!Array<number>} order For each desktop after reordering, the 0-based
+ *     number it had before, or -1 for a new desktop with the default name and
+ *     color.
+ */
+virtualdesktops.settings.reorderDesktops = function(order) {
+  ['desktop-names', 'desktop-colors'].forEach(function(key) {
+    var array = virtualdesktops.settings.getArray_(key);
+    virtualdesktops.settings.set_(key, order.map(function(desktop) {
+      // JSON can't hold undefined, so unset elements become null.
+      var value = desktop < 0 ? null : array[desktop];
+      return value === undefined ? null : value;
+    }));
+  });
+  virtualdesktops.settings.setDesktops(order.length);
+};
+
+
+/**
+ * Returns the IDs of the other extensions that may send requests to this one.
+ * Malformed IDs are dropped on reading, not on writing, to allow for updates to
+ * the extension to accept different values.
+ * @package
+ * @return {!Array<string>}
+ */
+virtualdesktops.settings.getExternalExtensionIds = function() {
+  return virtualdesktops.settings.getArray_('external-extension-ids').filter(
+      function(id) {
+        return typeof id == 'string' && /^[a-p]{32}$/.test(id);
+      });
+};
+
+
+/**
+ * Sets the IDs of the other extensions that may send requests to this one.
+ * @package
+ * @param {!Array<string>} ids Extension IDs.
+ */
+virtualdesktops.settings.setExternalExtensionIds = function(ids) {
+  virtualdesktops.settings.set_('external-extension-ids', ids.slice());
+};
+
+
+/**
+ * Checks whether a value read from storage is a valid layout.
+ * @private
+ * @param {*} layout The value to check.
+ * @return {boolean} Whether it is a valid virtualdesktops.Layout.
+ */
+virtualdesktops.settings.isValidLayout_ = function(layout) {
+  if (layout == null || typeof layout != 'object' ||
+      typeof layout.name != 'string' || typeof layout.key != 'string' ||
+      !/^[a-z0-9]?$/.test(layout.key)) {
+    return false;
+  }
+  var x = layout.x, y = layout.y, w = layout.w, h = layout.h;
+  if ([x, y, w, h].some(function(v) {
+        return typeof v != 'number' || !isFinite(v);
+      })) {
+    return false;
+  }
+  return x >= 0 && y >= 0 && w > 0 && h > 0 && x + w <= 100 && y + h <= 100;
+};
+
+
+/**
+ * Returns the user-defined layouts.
+ * Invalid layouts are dropped on reading, not on writing, to allow for updates
+ * to the extension to accept different values.
+ * @package
+ * @return {!Array<!virtualdesktops.Layout>}
+ */
+virtualdesktops.settings.getLayouts = function() {
+  return /** @type {!Array<!virtualdesktops.Layout>} */ (
+      virtualdesktops.settings.getArray_('layouts').filter(
+          virtualdesktops.settings.isValidLayout_));
+};
+
+
+/**
+ * Sets the user-defined layouts.
+ * @package
+ * @param {!Array<!virtualdesktops.Layout>} layouts The layouts.
+ */
+virtualdesktops.settings.setLayouts = function(layouts) {
+  virtualdesktops.settings.set_('layouts', layouts.slice());
+};
+
+
+/**
+ * Checks whether a value read from storage is a valid window rule.
+ * @private
+ * @param {*} rule The value to check.
+ * @return {boolean} Whether it is a valid virtualdesktops.WindowRule.
+ */
+virtualdesktops.settings.isValidWindowRule_ = function(rule) {
+  if (rule == null || typeof rule != 'object' ||
+      typeof rule.pattern != 'string' || rule.pattern == '' ||
+      (rule.incognito != null && typeof rule.incognito != 'boolean') ||
+      typeof rule.type != 'string' ||
+      !virtualdesktops.settings.isNonNegativeInteger_(rule.desktop)) {
+    return false;
+  }
+  var x = rule.x, y = rule.y, w = rule.w, h = rule.h;
+  if (x == null && y == null && w == null && h == null) {
+    return true;
+  }
+  return [x, y, w, h].every(virtualdesktops.settings.isNonNegativeInteger_) &&
+      w > 0 && h > 0;
+};
+
+
+/**
+ * Checks whether a value is a non-negative integer.
+ * @private
+ * @param {*} value The value to check.
+ * @return {boolean}
+ */
+virtualdesktops.settings.isNonNegativeInteger_ = function(value) {
+  return typeof value == 'number' && value >= 0 && Math.floor(value) == value;
+};
+
+
+/**
+ * Returns the user-defined rules for placing new windows, in order of
+ * precedence.
+ * Invalid rules are dropped on reading, not on writing, to allow for updates
+ * to the extension to accept different values.
+ * @package
+ * @return {!Array<!virtualdesktops.WindowRule>}
+ */
+virtualdesktops.settings.getWindowRules = function() {
+  return /** @type {!Array<!virtualdesktops.WindowRule>} */ (
+      virtualdesktops.settings.getArray_('window-rules').filter(
+          virtualdesktops.settings.isValidWindowRule_));
+};
+
+
+/**
+ * Sets the user-defined rules for placing new windows.
+ * @package
+ * @param {!Array<!virtualdesktops.WindowRule>} rules The rules, in order of
+ *     precedence.
+ */
+virtualdesktops.settings.setWindowRules = function(rules) {
+  virtualdesktops.settings.set_('window-rules', rules.slice());
 };
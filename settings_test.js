@@ -0,0 +1,122 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Unit test for settings.
+ * @package
+ */
+goog.setTestOnly();
+
+goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops.settings');
+goog.require('virtualdesktops.store');
+
+
+/**
+ * Clears the stored layouts, window rules and desktop names and colors.
+ */
+function setUp() {
+  virtualdesktops.store.remove(virtualdesktops.store.Area.SYNC, 'layouts');
+  virtualdesktops.store.remove(
+      virtualdesktops.store.Area.SYNC, 'window-rules');
+  virtualdesktops.store.remove(
+      virtualdesktops.store.Area.SYNC, 'desktop-names');
+  virtualdesktops.store.remove(
+      virtualdesktops.store.Area.SYNC, 'desktop-colors');
+}
+
+
+/**
+ * Tests whether valid layouts survive storing and reading them.
+ */
+function testValidLayouts() {
+  var layouts = [
+    {name: 'Main', key: 'm', x: 0, y: 0, w: 60, h: 100},
+    {name: 'Sidebar', key: '', x: 60, y: 0, w: 40, h: 100}
+  ];
+  virtualdesktops.settings.setLayouts(layouts);
+  assertObjectEquals(layouts, virtualdesktops.settings.getLayouts());
+}
+
+
+/**
+ * Tests whether invalid layouts are dropped on reading.
+ */
+function testInvalidLayoutsAreDropped() {
+  var valid = {name: 'Main', key: 'm', x: 0, y: 0, w: 60, h: 100};
+  virtualdesktops.settings.setLayouts([
+    valid,
+    {name: 'Too wide', key: '', x: 60, y: 0, w: 60, h: 100},
+    {name: 'Empty', key: '', x: 0, y: 0, w: 0, h: 100},
+    {name: 'Bad key', key: 'ab', x: 0, y: 0, w: 10, h: 10},
+    {name: 'NaN', key: '', x: NaN, y: 0, w: 10, h: 10},
+    {key: '', x: 0, y: 0, w: 10, h: 10},
+    null
+  ]);
+  assertObjectEquals([valid], virtualdesktops.settings.getLayouts());
+
+  virtualdesktops.store.set(
+      virtualdesktops.store.Area.SYNC, 'layouts', 'garbage');
+  assertObjectEquals([], virtualdesktops.settings.getLayouts());
+}
+
+
+/**
+ * Tests whether invalid window rules are dropped on reading.
+ */
+function testInvalidWindowRulesAreDropped() {
+  var valid = [
+    {pattern: '*://meet.google.com/*', incognito: null, type: '', desktop: 2,
+      x: 1, y: 0, w: 1, h: 2},
+    {pattern: '/mail/', incognito: false, type: 'normal', desktop: 0,
+      x: null, y: null, w: null, h: null}
+  ];
+  virtualdesktops.settings.setWindowRules(valid.concat([
+    {pattern: '', incognito: null, type: '', desktop: 0,
+      x: null, y: null, w: null, h: null},
+    {pattern: '*', incognito: 'yes', type: '', desktop: 0,
+      x: null, y: null, w: null, h: null},
+    {pattern: '*', incognito: null, type: '', desktop: -1,
+      x: null, y: null, w: null, h: null},
+    {pattern: '*', incognito: null, type: '', desktop: 0,
+      x: 0, y: null, w: 1, h: 1},
+    {pattern: '*', incognito: null, type: '', desktop: 0,
+      x: 0, y: 0, w: 0, h: 1},
+    null
+  ]));
+  assertObjectEquals(valid, virtualdesktops.settings.getWindowRules());
+}
+
+
+/**
+ * Tests whether reordering desktops moves their names and colors along.
+ */
+function testReorderDesktops() {
+  virtualdesktops.settings.setDesktops(3);
+  virtualdesktops.settings.setDesktopName(0, 'Work');
+  virtualdesktops.settings.setDesktopColor(0, '#ff0000');
+  virtualdesktops.settings.setDesktopName(2, 'Mail');
+
+  virtualdesktops.settings.reorderDesktops([2, -1, 0, 1]);
+  assertEquals(4, virtualdesktops.settings.getDesktops());
+  assertEquals('Mail', virtualdesktops.settings.getDesktopName(0));
+  assertEquals('Desktop 2', virtualdesktops.settings.getDesktopName(1));
+  assertEquals('Work', virtualdesktops.settings.getDesktopName(2));
+  assertEquals('#ff0000', virtualdesktops.settings.getDesktopColor(2));
+  assertEquals('#ffffff', virtualdesktops.settings.getDesktopColor(0));
+  assertEquals('Desktop 4', virtualdesktops.settings.getDesktopName(3));
+}
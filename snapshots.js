@@ -0,0 +1,119 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Functions to store session snapshots.
+ */
+goog.provide('virtualdesktops.snapshots');
+
+goog.require('virtualdesktops.SessionSnapshot');
+goog.require('virtualdesktops.store');
+
+
+/**
+ * @const {string} Key in the local storage area to store the snapshots.
+ *     Must be changed if their format changes incompatibly.
+ * @private
+ */
+virtualdesktops.snapshots.KEY_ = 'snapshots';
+
+
+/**
+ * Reads all stored snapshots. Anything that is not an array is treated as no
+ * snapshots.
+ * @private
+ * @return {!Array<!virtualdesktops.SessionSnapshot>}
+ */
+virtualdesktops.snapshots.getAll_ = function() {
+  var value = virtualdesktops.store.get(
+      virtualdesktops.store.Area.LOCAL, virtualdesktops.snapshots.KEY_);
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return /** @type {!Array<!virtualdesktops.SessionSnapshot>} */ (value);
+};
+
+
+/**
+ * Writes all snapshots.
+ * @private
+ * @param {!Array<!virtualdesktops.SessionSnapshot>} snapshots The snapshots.
+ */
+virtualdesktops.snapshots.setAll_ = function(snapshots) {
+  virtualdesktops.store.set(virtualdesktops.store.Area.LOCAL,
+      virtualdesktops.snapshots.KEY_, snapshots);
+};
+
+
+/**
+ * Lists the stored snapshots, oldest first.
+ * @package
+ * @return {!Array<{name: string, created: number, windowCount: number}>}
+ *     For each snapshot, its name, creation time and number of windows.
+ */
+virtualdesktops.snapshots.list = function() {
+  return virtualdesktops.snapshots.getAll_().map(function(snapshot) {
+    return {
+      name: snapshot.name,
+      created: snapshot.created,
+      windowCount: snapshot.desktops.reduce(function(count, windows) {
+        return count + windows.length;
+      }, 0)
+    };
+  });
+};
+
+
+/**
+ * Reads a stored snapshot.
+ * @package
+ * @param {string} name The name of the snapshot.
+ * @return {?virtualdesktops.SessionSnapshot} The snapshot, or null if there is
+ *     none by that name.
+ */
+virtualdesktops.snapshots.get = function(name) {
+  return virtualdesktops.snapshots.getAll_().filter(function(snapshot) {
+    return snapshot.name == name;
+  })[0] || null;
+};
+
+
+/**
+ * Stores a snapshot, replacing any snapshot of the same name.
+ * @package
+ * @param {!virtualdesktops.SessionSnapshot} snapshot The snapshot.
+ */
+virtualdesktops.snapshots.save = function(snapshot) {
+  var snapshots = virtualdesktops.snapshots.getAll_().filter(function(s) {
+    return s.name != snapshot.name;
+  });
+  snapshots.push(snapshot);
+  virtualdesktops.snapshots.setAll_(snapshots);
+};
+
+
+/**
+ * Deletes a stored snapshot.
+ * @package
+ * @param {string} name The name of the snapshot.
+ */
+virtualdesktops.snapshots.remove = function(name) {
+  virtualdesktops.snapshots.setAll_(
+      virtualdesktops.snapshots.getAll_().filter(function(snapshot) {
+        return snapshot.name != name;
+      }));
+};
@@ -0,0 +1,299 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Functions to persist the state of the virtual desktops.
+ *
+ * The state is stored as a single object in the local storage area, along with
+ * the version of its format. Whenever the format changes, VERSION is increased
+ * and a migration from the previous format is added to MIGRATIONS_, so the
+ * state of existing users carries over.
+ * @package
+ */
+goog.provide('virtualdesktops.storage');
+
+goog.require('virtualdesktops.WindowState');
+goog.require('virtualdesktops.displays');
+goog.require('virtualdesktops.store');
+
+
+/**
+ * The persisted state of the virtual desktops: the current desktop (of the
+ * display used last), the display used last, the current desktop per display
+ * ID, the displays as last seen, and the window states per window ID.
+ * @typedef {{
+ *   currentDesktop: number,
+ *   activeDisplay: string,
+ *   currentDesktops: !Object<string, number>,
+ *   displays: !Array<!virtualdesktops.displays.Display>,
+ *   windowStates: !Object<number, !virtualdesktops.WindowState>
+ * }} */
+virtualdesktops.storage.State;
+
+
+/**
+ * Version of the storage format.
+ * @const {number}
+ */
+virtualdesktops.storage.VERSION = 1;
+
+
+/**
+ * @const {string} Key in the local storage area to store the state.
+ * @private
+ */
+virtualdesktops.storage.STATE_KEY_ = 'state';
+
+
+/**
+ * @const {string} Key in the local storage area to store the version of the
+ *     storage format.
+ * @private
+ */
+virtualdesktops.storage.VERSION_KEY_ = 'stateVersion';
+
+
+/**
+ * Migrations of the local storage area contents. The migration at index i
+ * converts from version i to version i + 1. Values are validated after
+ * migrating, so migrations need not care about invalid values.
+ * @const {!Array<function()>}
+ * @private
+ */
+virtualdesktops.storage.MIGRATIONS_ = [
+  // Version 0 kept each part of the state under a key of its own.
+  function() {
+    var local = virtualdesktops.store.Area.LOCAL;
+    var keys = {
+      currentDesktop: 'currentDesktop',
+      activeDisplay: 'activeDisplay',
+      currentDesktops: 'currentDesktopsByDisplay',
+      windowStates: 'windowStates'
+    };
+    var state = {};
+    for (var field in keys) {
+      state[field] = virtualdesktops.store.get(local, keys[field]);
+      virtualdesktops.store.remove(local, keys[field]);
+    }
+    virtualdesktops.store.set(local, virtualdesktops.storage.STATE_KEY_, state);
+  }
+];
+
+
+/**
+ * Returns whether a value is a non-negative integer.
+ * @private
+ * @param {*} value The value to check.
+ * @return {boolean}
+ */
+virtualdesktops.storage.isIndex_ = function(value) {
+  return typeof value == 'number' && value >= 0 && Math.floor(value) == value;
+};
+
+
+/**
+ * Validates a parsed window state.
+ * Coordinates may be null, as windows that have never been seen unminimized
+ * have no known position.
+ * @private
+ * @param {*} value The parsed window state.
+ * @return {?virtualdesktops.WindowState} The window state, or null if it is
+ *     invalid.
+ */
+virtualdesktops.storage.validateWindowState_ = function(value) {
+  if (value == null || typeof value != 'object' ||
+      !virtualdesktops.storage.isIndex_(value['desktop']) ||
+      typeof value['state'] != 'string') {
+    return null;
+  }
+  var coordinates = ['x', 'y', 'w', 'h'];
+  for (var i = 0; i < coordinates.length; ++i) {
+    var c = value[coordinates[i]];
+    if (c != null && (typeof c != 'number' || !isFinite(c))) {
+      return null;
+    }
+  }
+  var windowState = {
+    desktop: value['desktop'],
+    state: value['state'],
+    x: value['x'],
+    y: value['y'],
+    w: value['w'],
+    h: value['h']
+  };
+  var urls = value['urls'];
+  if (Array.isArray(urls) && urls.every(function(url) {
+        return typeof url == 'string';
+      })) {
+    windowState.urls = urls;
+  }
+  if (typeof value['incognito'] == 'boolean') {
+    windowState.incognito = value['incognito'];
+  }
+  if (value['sticky'] === true) {
+    windowState.sticky = true;
+  }
+  return windowState;
+};
+
+
+/**
+ * Validates a parsed display.
+ * @private
+ * @param {*} value The parsed display.
+ * @return {?virtualdesktops.displays.Display} The display, or null if it is
+ *     invalid.
+ */
+virtualdesktops.storage.validateDisplay_ = function(value) {
+  if (value == null || typeof value != 'object' ||
+      typeof value['id'] != 'string') {
+    return null;
+  }
+  var workArea = value['workArea'];
+  if (workArea == null || typeof workArea != 'object') {
+    return null;
+  }
+  var fields = ['left', 'top', 'width', 'height'];
+  for (var i = 0; i < fields.length; ++i) {
+    var f = workArea[fields[i]];
+    if (typeof f != 'number' || !isFinite(f)) {
+      return null;
+    }
+  }
+  return {
+    id: value['id'],
+    workArea: {
+      left: workArea['left'],
+      top: workArea['top'],
+      width: workArea['width'],
+      height: workArea['height']
+    }
+  };
+};
+
+
+/**
+ * Validates a parsed state. Invalid parts are replaced by defaults, and invalid
+ * window states are dropped.
+ * @private
+ * @param {*} value The parsed state.
+ * @return {!virtualdesktops.storage.State} The state.
+ */
+virtualdesktops.storage.validate_ = function(value) {
+  if (value == null || typeof value != 'object') {
+    value = {};
+  }
+  var state = {
+    currentDesktop: 0,
+    activeDisplay: '',
+    currentDesktops: {},
+    displays: [],
+    windowStates: {}
+  };
+  if (virtualdesktops.storage.isIndex_(value['currentDesktop'])) {
+    state.currentDesktop = value['currentDesktop'];
+  }
+  if (typeof value['activeDisplay'] == 'string') {
+    state.activeDisplay = value['activeDisplay'];
+  }
+  var currentDesktops = value['currentDesktops'];
+  if (currentDesktops != null && typeof currentDesktops == 'object') {
+    for (var display in currentDesktops) {
+      if (virtualdesktops.storage.isIndex_(currentDesktops[display])) {
+        state.currentDesktops[display] = currentDesktops[display];
+      }
+    }
+  }
+  var displays = value['displays'];
+  if (Array.isArray(displays)) {
+    var validDisplays = displays.map(virtualdesktops.storage.validateDisplay_);
+    if (validDisplays.indexOf(null) < 0) {
+      state.displays = validDisplays;
+    }
+  }
+  var windowStates = value['windowStates'];
+  if (windowStates != null && typeof windowStates == 'object') {
+    for (var winIdStr in windowStates) {
+      var winId = parseInt(winIdStr, 10);
+      var windowState = virtualdesktops.storage.validateWindowState_(
+          windowStates[winIdStr]);
+      if (isNaN(winId) || windowState == null) {
+        console.log('Dropping invalid window state for ' + winIdStr);
+        continue;
+      }
+      state.windowStates[winId] = windowState;
+    }
+  }
+  return state;
+};
+
+
+/**
+ * Brings the local storage area contents up to the current version of the
+ * format. Contents written by a newer version of the extension can't be
+ * converted, and are thus discarded.
+ * @private
+ */
+virtualdesktops.storage.migrate_ = function() {
+  var local = virtualdesktops.store.Area.LOCAL;
+  var version = parseInt(virtualdesktops.store.get(
+      local, virtualdesktops.storage.VERSION_KEY_), 10);
+  if (isNaN(version)) {
+    version = 0;
+  }
+  if (version == virtualdesktops.storage.VERSION) {
+    return;
+  }
+  if (version > virtualdesktops.storage.VERSION) {
+    console.log('Discarding state of unknown version ' + version);
+    virtualdesktops.store.remove(local, virtualdesktops.storage.STATE_KEY_);
+    version = virtualdesktops.storage.VERSION;
+  }
+  for (; version < virtualdesktops.storage.VERSION; ++version) {
+    virtualdesktops.storage.MIGRATIONS_[version]();
+  }
+  virtualdesktops.store.set(local, virtualdesktops.storage.VERSION_KEY_,
+      version);
+};
+
+
+/**
+ * Loads the state, migrating it from older formats if necessary.
+ * virtualdesktops.store.init() must have been called before.
+ * @return {!virtualdesktops.storage.State} The state. Missing or invalid parts
+ *     are replaced by defaults.
+ */
+virtualdesktops.storage.load = function() {
+  virtualdesktops.storage.migrate_();
+  return virtualdesktops.storage.validate_(virtualdesktops.store.get(
+      virtualdesktops.store.Area.LOCAL, virtualdesktops.storage.STATE_KEY_));
+};
+
+
+/**
+ * Saves the state, so reinitializing the extension will pick it up.
+ * The state is copied, so later changes to it are not saved until this is
+ * called again.
+ * @param {!virtualdesktops.storage.State} state The state.
+ */
+virtualdesktops.storage.save = function(state) {
+  var local = virtualdesktops.store.Area.LOCAL;
+  virtualdesktops.store.set(local, virtualdesktops.storage.STATE_KEY_,
+      JSON.parse(JSON.stringify(state)));
+  virtualdesktops.store.set(local, virtualdesktops.storage.VERSION_KEY_,
+      virtualdesktops.storage.VERSION);
+};
@@ -0,0 +1,200 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Unit test for storage.
+ * @package
+ */
+goog.setTestOnly();
+
+goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops.storage');
+goog.require('virtualdesktops.store');
+
+
+/**
+ * Keys the state has been stored under in any version.
+ * @const {!Array<string>}
+ */
+var STATE_KEYS = [
+  'currentDesktop',
+  'activeDisplay',
+  'currentDesktopsByDisplay',
+  'windowStates',
+  'state',
+  'stateVersion'
+];
+
+
+/**
+ * Clears the stored state in all formats and places.
+ */
+function setUp() {
+  STATE_KEYS.forEach(function(key) {
+    delete window.localStorage[key];
+    virtualdesktops.store.remove(virtualdesktops.store.Area.LOCAL, key);
+  });
+}
+
+
+/**
+ * Writes a value to the local storage area.
+ * @param {string} key The key.
+ * @param {*} value The value.
+ */
+function setLocal(key, value) {
+  virtualdesktops.store.set(virtualdesktops.store.Area.LOCAL, key, value);
+}
+
+
+/**
+ * Reads a value from the local storage area.
+ * @param {string} key The key.
+ * @return {*} The value.
+ */
+function getLocal(key) {
+  return virtualdesktops.store.get(virtualdesktops.store.Area.LOCAL, key);
+}
+
+
+/**
+ * Tests whether nothing stored yields the defaults.
+ */
+function testLoadEmpty() {
+  var state = virtualdesktops.storage.load();
+  assertEquals(0, state.currentDesktop);
+  assertEquals('', state.activeDisplay);
+  assertObjectEquals({}, state.currentDesktops);
+  assertObjectEquals([], state.displays);
+  assertObjectEquals({}, state.windowStates);
+}
+
+
+/**
+ * Tests whether a saved state is loaded again.
+ */
+function testSaveAndLoad() {
+  var state = {
+    currentDesktop: 2,
+    activeDisplay: 'primary',
+    currentDesktops: {'primary': 2, 'secondary': 1},
+    displays: [
+      {id: 'primary', workArea: {left: 0, top: 0, width: 1280, height: 960}}
+    ],
+    windowStates: {
+      1: {desktop: 2, state: 'normal', x: 0, y: 0, w: 640, h: 480,
+        urls: ['https://example.com/'], incognito: false},
+      2: {desktop: 1, state: 'minimized', x: null, y: null, w: null, h: null,
+        sticky: true}
+    }
+  };
+  virtualdesktops.storage.save(state);
+  assertObjectEquals(state, virtualdesktops.storage.load());
+}
+
+
+/**
+ * Tests the migration from version 0, which had a key per part of the state.
+ */
+function testMigrateFromVersion0() {
+  setLocal('currentDesktop', 3);
+  setLocal('windowStates', {
+    7: {desktop: 3, state: 'maximized', x: 0, y: 0, w: 1280, h: 960}
+  });
+
+  var state = virtualdesktops.storage.load();
+  assertEquals(3, state.currentDesktop);
+  assertEquals('', state.activeDisplay);
+  assertObjectEquals({
+    7: {desktop: 3, state: 'maximized', x: 0, y: 0, w: 1280, h: 960}
+  }, state.windowStates);
+  assertUndefined(getLocal('currentDesktop'));
+  assertUndefined(getLocal('windowStates'));
+  assertEquals(virtualdesktops.storage.VERSION, getLocal('stateVersion'));
+
+  // Loading again must not migrate again.
+  assertObjectEquals(state, virtualdesktops.storage.load());
+}
+
+
+/**
+ * Tests the migration from version 0 as stored in window.localStorage by
+ * earlier versions, including unparseable contents.
+ */
+function testMigrateFromLocalStorage() {
+  window.localStorage['currentDesktop'] = '2';
+  window.localStorage['activeDisplay'] = 'primary';
+  window.localStorage['windowStates'] = '{not json';
+
+  virtualdesktops.store.init(function() {});
+  var state = virtualdesktops.storage.load();
+  assertEquals(2, state.currentDesktop);
+  assertEquals('primary', state.activeDisplay);
+  assertObjectEquals({}, state.windowStates);
+  assertUndefined(window.localStorage['currentDesktop']);
+  assertUndefined(window.localStorage['windowStates']);
+}
+
+
+/**
+ * Tests whether invalid values are replaced by defaults, and invalid window
+ * states are dropped.
+ */
+function testInvalidStateIsRejected() {
+  setLocal('stateVersion', virtualdesktops.storage.VERSION);
+  setLocal('state', {
+    currentDesktop: -1,
+    activeDisplay: 42,
+    currentDesktops: {'primary': 1.5, 'secondary': 1},
+    displays: [
+      {id: 'primary', workArea: {left: 0, top: 0, width: 1280, height: 960}},
+      {id: 'secondary', workArea: {left: 1280, top: 0, width: 1280}}
+    ],
+    windowStates: {
+      1: {desktop: 0, state: 'normal', x: 'left', y: 0, w: 640, h: 480},
+      2: {desktop: 'one', state: 'normal', x: 0, y: 0, w: 640, h: 480},
+      3: {desktop: 0, x: 0, y: 0, w: 640, h: 480},
+      4: null,
+      foo: {desktop: 0, state: 'normal', x: 0, y: 0, w: 640, h: 480},
+      5: {desktop: 1, state: 'normal', x: 0, y: 0, w: 640, h: 480,
+        urls: [1, 2], incognito: 'no'},
+      6: {desktop: 1, state: 'normal', x: NaN, y: 0, w: 640, h: 480}
+    }
+  });
+
+  var state = virtualdesktops.storage.load();
+  assertEquals(0, state.currentDesktop);
+  assertEquals('', state.activeDisplay);
+  assertObjectEquals({'secondary': 1}, state.currentDesktops);
+  assertObjectEquals([], state.displays);
+  assertObjectEquals({
+    5: {desktop: 1, state: 'normal', x: 0, y: 0, w: 640, h: 480}
+  }, state.windowStates);
+}
+
+
+/**
+ * Tests whether state written by a newer version is discarded.
+ */
+function testNewerVersionIsDiscarded() {
+  setLocal('stateVersion', virtualdesktops.storage.VERSION + 1);
+  setLocal('state', {currentDesktop: 2});
+
+  var state = virtualdesktops.storage.load();
+  assertEquals(0, state.currentDesktop);
+  assertEquals(virtualdesktops.storage.VERSION, getLocal('stateVersion'));
+}
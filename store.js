@@ -0,0 +1,307 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Cached access to chrome.storage.
+ *
+ * Preferences are kept in chrome.storage.sync, so they follow the user to other
+ * devices, and everything else in chrome.storage.local. As chrome.storage is
+ * asynchronous, all values are cached in memory: pages call init() once and can
+ * then read values synchronously. Writes update the cache immediately and are
+ * persisted in the background. Changes made by other pages of this extension,
+ * or synced from other devices, are applied to the cache as they come in.
+ *
+ * Without chrome.storage (e.g. in unit tests), values are only kept in memory.
+ * @package
+ */
+goog.provide('virtualdesktops.store');
+
+
+/**
+ * The storage areas.
+ * @enum {string}
+ */
+virtualdesktops.store.Area = {
+  LOCAL: 'local',
+  SYNC: 'sync'
+};
+
+
+/**
+ * Keys that are moved to chrome.storage.sync when importing from
+ * window.localStorage.
+ * @const {!Array<string>}
+ * @private
+ */
+virtualdesktops.store.SYNC_KEYS_ = [
+  'rows',
+  'columns',
+  'group-by',
+  'desktops',
+  'desktop-names',
+  'desktop-colors',
+  'per-display-desktops',
+  'external-extension-ids',
+  'layouts'
+];
+
+
+/**
+ * Keys that are moved to chrome.storage.local when importing from
+ * window.localStorage: the desktop state and its version, the parts of the
+ * state that version 0 kept under keys of their own (see
+ * virtualdesktops.storage), and the session snapshots.
+ * @const {!Array<string>}
+ * @private
+ */
+virtualdesktops.store.LOCAL_KEYS_ = [
+  'state',
+  'stateVersion',
+  'currentDesktop',
+  'activeDisplay',
+  'currentDesktopsByDisplay',
+  'windowStates',
+  'snapshots'
+];
+
+
+/**
+ * The cached contents of each storage area.
+ * @private {!Object<string, !Object<string, *>>}
+ */
+virtualdesktops.store.cache_ = {'local': {}, 'sync': {}};
+
+
+/**
+ * Listeners to call on changes.
+ * @private {!Array<function(virtualdesktops.store.Area, !Array<string>)>}
+ */
+virtualdesktops.store.listeners_ = [];
+
+
+/**
+ * Returns the chrome.storage API, if available.
+ * @private
+ * @return {?Object}
+ */
+virtualdesktops.store.chromeStorage_ = function() {
+  if (typeof chrome == 'undefined' || !chrome.storage) {
+    return null;
+  }
+  return chrome.storage;
+};
+
+
+/**
+ * Whether the storage areas have been loaded into the cache.
+ * @private {boolean}
+ */
+virtualdesktops.store.loaded_ = false;
+
+
+/**
+ * Callbacks waiting for the storage areas to be loaded, or null if they are
+ * not being loaded.
+ * @private {?Array<function()>}
+ */
+virtualdesktops.store.pendingCallbacks_ = null;
+
+
+/**
+ * Loads all storage areas into the cache and starts listening for changes.
+ * Values still in window.localStorage, where earlier versions kept them, are
+ * moved to chrome.storage first. Service workers have no window.localStorage,
+ * so such values are moved once the browser action or options page is opened.
+ * May be called any number of times; the storage areas are only loaded once.
+ * @param {function()} callback The callback to call when the values can be
+ *     read.
+ */
+virtualdesktops.store.init = function(callback) {
+  if (virtualdesktops.store.loaded_) {
+    callback();
+    return;
+  }
+  if (virtualdesktops.store.pendingCallbacks_ != null) {
+    virtualdesktops.store.pendingCallbacks_.push(callback);
+    return;
+  }
+  var storage = virtualdesktops.store.chromeStorage_();
+  if (storage == null) {
+    virtualdesktops.store.importLocalStorage_();
+    virtualdesktops.store.loaded_ = true;
+    callback();
+    return;
+  }
+  virtualdesktops.store.pendingCallbacks_ = [callback];
+  storage.onChanged.addListener(virtualdesktops.store.changedHandler_);
+  storage.local.get(null, function(localItems) {
+    storage.sync.get(null, function(syncItems) {
+      virtualdesktops.store.cache_['local'] = localItems || {};
+      virtualdesktops.store.cache_['sync'] = syncItems || {};
+      virtualdesktops.store.importLocalStorage_();
+      virtualdesktops.store.loaded_ = true;
+      var callbacks = virtualdesktops.store.pendingCallbacks_;
+      virtualdesktops.store.pendingCallbacks_ = null;
+      callbacks.forEach(function(callback) {
+        callback();
+      });
+    });
+  });
+};
+
+
+/**
+ * Moves the values of this extension from window.localStorage to the storage
+ * areas. window.localStorage only holds strings, so JSON encoded values are
+ * decoded.
+ * This may only happen long after the upgrade, when a page of this extension
+ * is opened, as the background service worker has no window.localStorage. So
+ * values the storage areas already have are newer, and are kept.
+ * @private
+ */
+virtualdesktops.store.importLocalStorage_ = function() {
+  if (typeof window == 'undefined' || !window.localStorage) {
+    return;
+  }
+  var importKeys = function(area, keys) {
+    keys.forEach(function(key) {
+      var value = window.localStorage[key];
+      if (value === undefined) {
+        return;
+      }
+      if (virtualdesktops.store.get(area, key) === undefined) {
+        try {
+          value = JSON.parse(value);
+        } catch (e) {
+          // Not JSON, so it was stored as a plain string.
+        }
+        virtualdesktops.store.set(area, key, value);
+      }
+      delete window.localStorage[key];
+    });
+  };
+  importKeys(virtualdesktops.store.Area.SYNC, virtualdesktops.store.SYNC_KEYS_);
+  importKeys(virtualdesktops.store.Area.LOCAL,
+      virtualdesktops.store.LOCAL_KEYS_);
+};
+
+
+/**
+ * Applies changes reported by chrome.storage to the cache, and informs the
+ * listeners.
+ * @private
+ * @param {!Object<string, !StorageChange>} changes The changed values.
+ * @param {string} areaName The storage area that changed.
+ */
+virtualdesktops.store.changedHandler_ = function(changes, areaName) {
+  var cache = virtualdesktops.store.cache_[areaName];
+  if (cache == null) {
+    return;
+  }
+  for (var key in changes) {
+    if (changes[key].newValue === undefined) {
+      delete cache[key];
+    } else {
+      cache[key] = changes[key].newValue;
+    }
+  }
+  virtualdesktops.store.notify_(
+      /** @type {virtualdesktops.store.Area} */ (areaName),
+      Object.keys(changes));
+};
+
+
+/**
+ * Informs the listeners about changes.
+ * @private
+ * @param {virtualdesktops.store.Area} area The storage area that changed.
+ * @param {!Array<string>} keys The keys that changed.
+ */
+virtualdesktops.store.notify_ = function(area, keys) {
+  virtualdesktops.store.listeners_.forEach(function(listener) {
+    listener(area, keys);
+  });
+};
+
+
+/**
+ * Reads a value.
+ * @param {virtualdesktops.store.Area} area The storage area.
+ * @param {string} key The key.
+ * @return {*} The value, or undefined if there is none.
+ */
+virtualdesktops.store.get = function(area, key) {
+  return virtualdesktops.store.cache_[area][key];
+};
+
+
+/**
+ * Writes a value.
+ * @param {virtualdesktops.store.Area} area The storage area.
+ * @param {string} key The key.
+ * @param {*} value The value. Must be JSON serializable.
+ */
+virtualdesktops.store.set = function(area, key, value) {
+  virtualdesktops.store.cache_[area][key] = value;
+  var storage = virtualdesktops.store.chromeStorage_();
+  if (storage == null) {
+    // Nobody else can see this change, so inform our own listeners.
+    virtualdesktops.store.notify_(area, [key]);
+    return;
+  }
+  var items = {};
+  items[key] = value;
+  storage[area].set(items, virtualdesktops.store.checkError_);
+};
+
+
+/**
+ * Removes a value.
+ * @param {virtualdesktops.store.Area} area The storage area.
+ * @param {string} key The key.
+ */
+virtualdesktops.store.remove = function(area, key) {
+  delete virtualdesktops.store.cache_[area][key];
+  var storage = virtualdesktops.store.chromeStorage_();
+  if (storage == null) {
+    virtualdesktops.store.notify_(area, [key]);
+    return;
+  }
+  storage[area].remove(key, virtualdesktops.store.checkError_);
+};
+
+
+/**
+ * Logs errors from writing to chrome.storage, e.g. exceeded quotas.
+ * @private
+ */
+virtualdesktops.store.checkError_ = function() {
+  if (chrome.runtime.lastError) {
+    console.log(chrome.runtime.lastError.message);
+  }
+};
+
+
+/**
+ * Registers a listener for changes, including those made by other pages of
+ * this extension and those synced from other devices.
+ * @param {function(virtualdesktops.store.Area, !Array<string>)} listener The
+ *     listener, receiving the storage area and the keys that changed.
+ */
+virtualdesktops.store.onChanged = function(listener) {
+  virtualdesktops.store.listeners_.push(listener);
+};
@@ -0,0 +1,109 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Unit test for store.
+ * @package
+ */
+goog.setTestOnly();
+
+goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops.store');
+
+
+/**
+ * Clears the values used by the tests.
+ */
+function setUp() {
+  virtualdesktops.store.remove(virtualdesktops.store.Area.LOCAL, 'test');
+  virtualdesktops.store.remove(virtualdesktops.store.Area.SYNC, 'test');
+}
+
+
+/**
+ * Tests whether values are kept per storage area.
+ */
+function testSetAndGet() {
+  var local = virtualdesktops.store.Area.LOCAL;
+  var sync = virtualdesktops.store.Area.SYNC;
+  virtualdesktops.store.set(local, 'test', [1, 2]);
+  virtualdesktops.store.set(sync, 'test', 'synced');
+  assertObjectEquals([1, 2], virtualdesktops.store.get(local, 'test'));
+  assertEquals('synced', virtualdesktops.store.get(sync, 'test'));
+
+  virtualdesktops.store.remove(local, 'test');
+  assertUndefined(virtualdesktops.store.get(local, 'test'));
+  assertEquals('synced', virtualdesktops.store.get(sync, 'test'));
+}
+
+
+/**
+ * Tests whether listeners are informed about changes.
+ */
+function testOnChanged() {
+  var changes = [];
+  virtualdesktops.store.onChanged(function(area, keys) {
+    changes.push([area, keys]);
+  });
+  virtualdesktops.store.set(virtualdesktops.store.Area.SYNC, 'test', 1);
+  virtualdesktops.store.remove(virtualdesktops.store.Area.SYNC, 'test');
+  assertObjectEquals([
+    [virtualdesktops.store.Area.SYNC, ['test']],
+    [virtualdesktops.store.Area.SYNC, ['test']]
+  ], changes);
+}
+
+
+/**
+ * Tests whether only the known values are moved from window.localStorage, and
+ * only if the storage areas don't have newer ones.
+ */
+function testImportLocalStorage() {
+  var local = virtualdesktops.store.Area.LOCAL;
+  var sync = virtualdesktops.store.Area.SYNC;
+  virtualdesktops.store.remove(sync, 'rows');
+  virtualdesktops.store.set(local, 'state', {'newer': true});
+  window.localStorage['rows'] = '3';
+  window.localStorage['state'] = '{"older": true}';
+  window.localStorage['test'] = 'unknown';
+
+  // init() only does this once, so it may have done so before.
+  virtualdesktops.store.importLocalStorage_();
+  assertEquals(3, virtualdesktops.store.get(sync, 'rows'));
+  assertObjectEquals({'newer': true},
+      virtualdesktops.store.get(local, 'state'));
+  assertUndefined(virtualdesktops.store.get(local, 'test'));
+  assertUndefined(window.localStorage['rows']);
+  assertUndefined(window.localStorage['state']);
+  assertEquals('unknown', window.localStorage['test']);
+
+  delete window.localStorage['test'];
+  virtualdesktops.store.remove(sync, 'rows');
+  virtualdesktops.store.remove(local, 'state');
+}
+
+
+/**
+ * Tests whether init() may be called repeatedly, e.g. by each event handler
+ * that needs to read values.
+ */
+function testInitRepeatedly() {
+  var calls = 0;
+  virtualdesktops.store.init(function() { ++calls; });
+  virtualdesktops.store.init(function() { ++calls; });
+  assertEquals(2, calls);
+}
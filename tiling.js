@@ -0,0 +1,125 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Functions to tile a number of windows on the screen.
+ * @package
+ */
+goog.provide('virtualdesktops.tiling');
+
+goog.require('virtualdesktops');
+
+
+/**
+ * Ways to arrange all windows of a desktop.
+ * @enum {string}
+ */
+virtualdesktops.tiling.Mode = {
+  // Side by side, each taking the full height.
+  COLUMNS: 'columns',
+  // On top of each other, each taking the full width.
+  ROWS: 'rows',
+  // The first window on the left, all others on top of each other on the
+  // right.
+  MASTER_STACK: 'masterStack',
+  // In a grid of roughly as many rows as columns.
+  GRID: 'grid'
+};
+
+
+/**
+ * A rectangle on the screen, in pixels.
+ * @typedef {{
+ *   left: number,
+ *   top: number,
+ *   width: number,
+ *   height: number
+ * }} */
+virtualdesktops.tiling.Rect;
+
+
+/**
+ * Splits a rectangle into n equally sized parts. Rounding is done so that
+ * neighboring parts share their edges.
+ * @private
+ * @param {!virtualdesktops.tiling.Rect} area The rectangle to split.
+ * @param {number} n The number of parts.
+ * @param {boolean} horizontally Whether to put the parts side by side (true)
+ *     or on top of each other (false).
+ * @return {!Array<!virtualdesktops.tiling.Rect>} The parts.
+ */
+virtualdesktops.tiling.split_ = function(area, n, horizontally) {
+  var rects = [];
+  var size = horizontally ? area.width : area.height;
+  for (var i = 0; i < n; ++i) {
+    var start = Math.round(i * size / n);
+    var end = Math.round((i + 1) * size / n);
+    if (horizontally) {
+      rects.push({left: area.left + start, top: area.top,
+                  width: end - start, height: area.height});
+    } else {
+      rects.push({left: area.left, top: area.top + start,
+                  width: area.width, height: end - start});
+    }
+  }
+  return rects;
+};
+
+
+/**
+ * Computes where to put n windows to tile them on the given work area.
+ * @param {virtualdesktops.tiling.Mode} mode How to arrange the windows.
+ *     Unknown modes are treated as GRID.
+ * @param {number} n The number of windows.
+ * @param {!virtualdesktops.tiling.Rect} area The work area of the screen.
+ * @return {!Array<!virtualdesktops.tiling.Rect>} The position of each window.
+ */
+virtualdesktops.tiling.computeRects = function(mode, n, area) {
+  if (n <= 0) {
+    return [];
+  }
+  switch (mode) {
+    case virtualdesktops.tiling.Mode.COLUMNS:
+      return virtualdesktops.tiling.split_(area, n, true);
+    case virtualdesktops.tiling.Mode.ROWS:
+      return virtualdesktops.tiling.split_(area, n, false);
+    case virtualdesktops.tiling.Mode.MASTER_STACK:
+      if (n == 1) {
+        return [area];
+      }
+      var masterWidth =
+          Math.round(area.width * virtualdesktops.MASTER_STACK_FRACTION);
+      var master = {left: area.left, top: area.top,
+                    width: masterWidth, height: area.height};
+      var stack = {left: area.left + masterWidth, top: area.top,
+                   width: area.width - masterWidth, height: area.height};
+      return [master].concat(
+          virtualdesktops.tiling.split_(stack, n - 1, false));
+    default:
+      var columns = Math.ceil(Math.sqrt(n));
+      var rows = Math.ceil(n / columns);
+      var rects = [];
+      var rowRects = virtualdesktops.tiling.split_(area, rows, false);
+      for (var i = 0; i < rows; ++i) {
+        // The last row may have fewer windows; these then get wider.
+        var count = Math.min(columns, n - i * columns);
+        rects = rects.concat(
+            virtualdesktops.tiling.split_(rowRects[i], count, true));
+      }
+      return rects;
+  }
+};
@@ -0,0 +1,87 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Unit test for tiling.
+ * @package
+ */
+goog.setTestOnly();
+
+goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops.tiling');
+
+
+/**
+ * The work area used by the tests.
+ * @const {!virtualdesktops.tiling.Rect}
+ */
+var AREA = {left: 10, top: 20, width: 1000, height: 600};
+
+
+/**
+ * Tests arranging windows side by side.
+ */
+function testColumns() {
+  assertObjectEquals([
+    {left: 10, top: 20, width: 333, height: 600},
+    {left: 343, top: 20, width: 334, height: 600},
+    {left: 677, top: 20, width: 333, height: 600}
+  ], virtualdesktops.tiling.computeRects(
+      virtualdesktops.tiling.Mode.COLUMNS, 3, AREA));
+}
+
+
+/**
+ * Tests arranging windows on top of each other.
+ */
+function testRows() {
+  assertObjectEquals([
+    {left: 10, top: 20, width: 1000, height: 300},
+    {left: 10, top: 320, width: 1000, height: 300}
+  ], virtualdesktops.tiling.computeRects(
+      virtualdesktops.tiling.Mode.ROWS, 2, AREA));
+}
+
+
+/**
+ * Tests arranging windows as a main window and a stack.
+ */
+function testMasterStack() {
+  assertObjectEquals([AREA], virtualdesktops.tiling.computeRects(
+      virtualdesktops.tiling.Mode.MASTER_STACK, 1, AREA));
+  assertObjectEquals([
+    {left: 10, top: 20, width: 600, height: 600},
+    {left: 610, top: 20, width: 400, height: 300},
+    {left: 610, top: 320, width: 400, height: 300}
+  ], virtualdesktops.tiling.computeRects(
+      virtualdesktops.tiling.Mode.MASTER_STACK, 3, AREA));
+}
+
+
+/**
+ * Tests arranging windows in a grid, where the last row may be incomplete.
+ */
+function testGrid() {
+  assertObjectEquals([
+    {left: 10, top: 20, width: 500, height: 300},
+    {left: 510, top: 20, width: 500, height: 300},
+    {left: 10, top: 320, width: 1000, height: 300}
+  ], virtualdesktops.tiling.computeRects(
+      virtualdesktops.tiling.Mode.GRID, 3, AREA));
+  assertEquals(0, virtualdesktops.tiling.computeRects(
+      virtualdesktops.tiling.Mode.GRID, 0, AREA).length);
+}
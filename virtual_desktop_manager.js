@@ -22,8 +22,17 @@ goog.provide('virtualdesktops.VirtualDesktopManager');
 
 goog.require('virtualdesktops');
 goog.require('virtualdesktops.BarrierClosure');
+goog.require('virtualdesktops.SessionSnapshot');
+goog.require('virtualdesktops.SessionSnapshotWindow');
+goog.require('virtualdesktops.WindowRule');
 goog.require('virtualdesktops.WindowState');
+goog.require('virtualdesktops.displays');
+goog.require('virtualdesktops.grid');
+goog.require('virtualdesktops.history');
+goog.require('virtualdesktops.rules');
 goog.require('virtualdesktops.settings');
+goog.require('virtualdesktops.storage');
+goog.require('virtualdesktops.tiling');
 
 
 
@@ -32,9 +41,11 @@ goog.require('virtualdesktops.settings');
  * @constructor
  * @param {!virtualdesktops.WindowProvider} windowProvider A WindowProvider to
  *     access windows with.
- * @param {function(number)} onChange Callback to call when the virtual desktop
- *     is changed. Is also called at construction time after the virtual desktop
- *     number has been received.
+ * @param {function(number, !Array<number>)} onChange Callback to call when the
+ *     virtual desktop is changed. Receives the current desktop of the display
+ *     that was used last, and the current desktop of each display if desktops
+ *     are switched per display. Is also called at construction time after the
+ *     virtual desktop number has been received.
  */
 virtualdesktops.VirtualDesktopManager = function(windowProvider, onChange) {
   /**
@@ -45,31 +56,63 @@ virtualdesktops.VirtualDesktopManager = function(windowProvider, onChange) {
 
   /**
    * Desktop change notification hook.
-   * @private {function(number)}
+   * @private {function(number, !Array<number>)}
    */
   this.onChange_ = onChange;
 
+  var state = virtualdesktops.storage.load();
+
   /**
    * Currently active desktop.
    * @private {number}
    */
-  this.currentDesktop_ =
-      parseInt(window.localStorage[this.CURRENT_DESKTOP_KEY_], 10);
-  if (isNaN(this.currentDesktop_) || this.currentDesktop_ < 0) {
-    this.currentDesktop_ = 0;
-  }
+  this.currentDesktop_ = state.currentDesktop;
+
+  /**
+   * The display that was used last. The current desktop of this display is
+   * kept in currentDesktop_; that of the others in currentDesktops_. Only used
+   * if desktops are switched per display; otherwise it is ''.
+   * @private {string}
+   */
+  this.activeDisplay_ = state.activeDisplay;
+
+  /**
+   * Currently active desktop per display ID.
+   * @private {!Object<string, number>}
+   */
+  this.currentDesktops_ = state.currentDesktops;
+
+  /**
+   * The displays windows can be on, as far as known. Remembered across
+   * restarts of the extension, so displays that were disconnected meanwhile
+   * are still noticed.
+   * @private {!Array<!virtualdesktops.displays.Display>}
+   */
+  this.displays_ = state.displays;
 
   /**
    * State of all windows. This remembers some state that would get lost on
    * Chrome when switching desktops or rebooting.
    * @private {!Object<number, !virtualdesktops.WindowState>}
    */
-  this.windowStates_ =
-      /** @type {!Object<number, !virtualdesktops.WindowState>} */
-      (JSON.parse(window.localStorage[this.WINDOW_STATES_KEY_] || '{}'));
+  this.windowStates_ = state.windowStates;
+
+  /**
+   * The timeout after which the state is saved, or null if none is pending.
+   * @private {?number}
+   */
+  this.saveTimeout_ = null;
+
+  /**
+   * IDs of the windows that have been put on their desktops by the operation
+   * that created them, e.g. restoring a snapshot, or by reidentifyWindows after
+   * a browser restart. Window rules leave these alone.
+   * @private {!Object<number, boolean>}
+   */
+  this.placedWindows_ = {};
 
   // Immediately fire an onChange event now that we loaded the current desktop.
-  this.onChange_(this.currentDesktop_);
+  this.fireChange_();
 };
 
 
@@ -81,33 +124,166 @@ virtualdesktops.VirtualDesktopManager.prototype.MINIMIZED_STATE_ = 'minimized';
 
 
 /**
- * @const {string} Property name in the local storage to store the current
- *     desktop number. Must be changed if its format changes incompatibly.
+ * Collects the current state for persisting it.
  * @private
+ * @return {!virtualdesktops.storage.State} The state. Shares its parts with
+ *     this object, so it must not be modified.
  */
-virtualdesktops.VirtualDesktopManager.prototype.CURRENT_DESKTOP_KEY_ =
-    'currentDesktop';
+virtualdesktops.VirtualDesktopManager.prototype.getState_ = function() {
+  this.currentDesktops_[this.activeDisplay_] = this.currentDesktop_;
+  return {
+    currentDesktop: this.currentDesktop_,
+    activeDisplay: this.activeDisplay_,
+    currentDesktops: this.currentDesktops_,
+    displays: this.displays_,
+    windowStates: this.windowStates_
+  };
+};
 
 
 /**
- * @const {string} Property name in the local storage to store the states of all
- *     known windows to survive extension reload and ChromeOS reboot. Must be
- *     changed if its format changes incompatibly.
+ * Saves the current state to local storage, so reinitializing the extension
+ * will pick it up.
  * @private
  */
-virtualdesktops.VirtualDesktopManager.prototype.WINDOW_STATES_KEY_ =
-    'windowStates';
+virtualdesktops.VirtualDesktopManager.prototype.saveState_ = function() {
+  if (this.saveTimeout_ != null) {
+    clearTimeout(this.saveTimeout_);
+    this.saveTimeout_ = null;
+  }
+  virtualdesktops.storage.save(this.getState_());
+};
 
 
 /**
- * Saves the current state to local storage, so reinitializing the extension
- * will pick it up.
+ * Saves the current state to local storage after SAVE_STATE_DELAY_MS, unless
+ * this is called again meanwhile.
  * @private
  */
-virtualdesktops.VirtualDesktopManager.prototype.saveState_ = function() {
-  window.localStorage[this.CURRENT_DESKTOP_KEY_] = this.currentDesktop_;
-  window.localStorage[this.WINDOW_STATES_KEY_] =
-      JSON.stringify(this.windowStates_);
+virtualdesktops.VirtualDesktopManager.prototype.saveStateSoon_ = function() {
+  if (this.saveTimeout_ != null) {
+    clearTimeout(this.saveTimeout_);
+  }
+  this.saveTimeout_ = setTimeout(this.saveState_.bind(this),
+      virtualdesktops.SAVE_STATE_DELAY_MS);
+};
+
+
+/**
+ * Informs listeners about the current desktops.
+ * @private
+ */
+virtualdesktops.VirtualDesktopManager.prototype.fireChange_ = function() {
+  this.onChange_(this.currentDesktop_, this.getCurrentDesktopsByDisplay());
+};
+
+
+/**
+ * Finds the display a rectangle is on, if desktops are switched per display.
+ * @private
+ * @param {?number} x Left coordinate of the rectangle.
+ * @param {?number} y Top coordinate of the rectangle.
+ * @param {?number} w Width of the rectangle.
+ * @param {?number} h Height of the rectangle.
+ * @return {string} The ID of the display, or '' if desktops are not switched
+ *     per display.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.displayAt_ =
+    function(x, y, w, h) {
+  if (!virtualdesktops.settings.getPerDisplayDesktops() ||
+      this.displays_.length == 0) {
+    return '';
+  }
+  var i = virtualdesktops.displays.findDisplay(this.displays_, {
+    left: x || 0,
+    top: y || 0,
+    width: w || 0,
+    height: h || 0
+  });
+  return this.displays_[Math.max(i, 0)].id;
+};
+
+
+/**
+ * Finds the display a window is on. Visible windows are where they are now,
+ * and minimized ones where they were last seen.
+ * @private
+ * @param {!ChromeWindow} win The window.
+ * @return {string} The ID of the display, or '' if desktops are not switched
+ *     per display.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.displayOfWindow_ =
+    function(win) {
+  var windowState = this.windowStates_[win.id];
+  if (win.state == this.MINIMIZED_STATE_ && windowState != null) {
+    return this.displayAt_(windowState.x, windowState.y, windowState.w,
+        windowState.h);
+  }
+  if (win.state == this.MINIMIZED_STATE_) {
+    return this.activeDisplay_;
+  }
+  return this.displayAt_(win.left, win.top, win.width, win.height);
+};
+
+
+/**
+ * Returns whether a known window belongs to the display used last, i.e. is
+ * affected by switching desktops.
+ * @private
+ * @param {number} winId The ID of the window.
+ * @return {boolean}
+ */
+virtualdesktops.VirtualDesktopManager.prototype.isOnActiveDisplay_ =
+    function(winId) {
+  if (!virtualdesktops.settings.getPerDisplayDesktops()) {
+    return true;
+  }
+  var windowState = this.windowStates_[winId];
+  return this.displayAt_(windowState.x, windowState.y, windowState.w,
+      windowState.h) == this.activeDisplay_;
+};
+
+
+/**
+ * Returns the current desktop of a display. Displays that have not been used
+ * yet show the same desktop as the display used last.
+ * @private
+ * @param {string} display The ID of the display.
+ * @return {number} The current desktop of the display.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.currentDesktopOn_ =
+    function(display) {
+  if (display == this.activeDisplay_ ||
+      !virtualdesktops.settings.getPerDisplayDesktops() ||
+      this.currentDesktops_[display] == null) {
+    return this.currentDesktop_;
+  }
+  return this.currentDesktops_[display];
+};
+
+
+/**
+ * Makes the display of a given window the one desktop switches act on.
+ * @private
+ * @param {!Array<!ChromeWindow>} windows All windows.
+ * @param {number} winId The ID of the window.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.activateDisplayOf_ =
+    function(windows, winId) {
+  var win = windows.filter(function(w) {
+    return w.id == winId;
+  })[0];
+  if (!virtualdesktops.settings.getPerDisplayDesktops() || win == null) {
+    return;
+  }
+  var display = this.displayOfWindow_(win);
+  if (display == this.activeDisplay_) {
+    return;
+  }
+  var currentDesktop = this.currentDesktopOn_(display);
+  this.currentDesktops_[this.activeDisplay_] = this.currentDesktop_;
+  this.activeDisplay_ = display;
+  this.currentDesktop_ = currentDesktop;
 };
 
 
@@ -125,21 +301,34 @@ virtualdesktops.VirtualDesktopManager.prototype.updateWindowStates_ =
   for (var i = 0; i < windows.length; ++i) {
     var w = windows[i];
     windowStates[w.id] = this.windowStates_[w.id];
+    // If desktops are switched per display, what counts is the current desktop
+    // of the display the window is on.
+    var currentDesktop = this.currentDesktopOn_(this.displayOfWindow_(w));
     // - If the window is unknown, on the current desktop or visible right now,
     //   create (or update) the last known state and assign it to the current
     //   desktop. This is important as we may be switching to another desktop
-    //   and have to remember it.
+    //   and have to remember it. Sticky windows stay sticky.
     if (windowStates[w.id] == null ||
-        windowStates[w.id].desktop == this.currentDesktop_ ||
+        this.isShownOn_(windowStates[w.id], currentDesktop) ||
         w.state != this.MINIMIZED_STATE_) {
-      windowStates[w.id] = {
-        desktop: this.currentDesktop_,
-        state: w.state,
-        x: w.left,
-        y: w.top,
-        w: w.width,
-        h: w.height
-      };
+      var previous = windowStates[w.id];
+      windowStates[w.id] = this.createWindowState_(w, currentDesktop);
+      if (previous != null && previous.sticky) {
+        windowStates[w.id].sticky = true;
+      }
+      if (previous != null && w.state == this.MINIMIZED_STATE_) {
+        // Minimized windows don't tell where they were on all platforms, so
+        // keep the position and size last seen. updateWindow() keeps these up
+        // to date.
+        windowStates[w.id].x = previous.x;
+        windowStates[w.id].y = previous.y;
+        windowStates[w.id].w = previous.w;
+        windowStates[w.id].h = previous.h;
+      }
+    } else if (w.tabs) {
+      // Keep the fingerprint up to date even for hidden windows.
+      windowStates[w.id].urls = this.urlsOf_(w);
+      windowStates[w.id].incognito = w.incognito;
     }
   }
 
@@ -147,6 +336,151 @@ virtualdesktops.VirtualDesktopManager.prototype.updateWindowStates_ =
 };
 
 
+/**
+ * Updates the remembered state of a single window that has just been created,
+ * moved or resized, so changes made by the user are not lost if the window is
+ * minimized before the next desktop switch. New windows are put on the current
+ * desktop. Minimized windows, and windows that are shown although they are on
+ * another desktop (e.g. while alt-tabbing), are left alone. The state is saved
+ * after a delay, so e.g. dragging a window around doesn't save it many times.
+ * @param {!ChromeWindow} win The window.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.updateWindow = function(win) {
+  if (win.state == this.MINIMIZED_STATE_) {
+    return;
+  }
+  var currentDesktop = this.currentDesktopOn_(this.displayOfWindow_(win));
+  var windowState = this.windowStates_[win.id];
+  if (windowState == null) {
+    windowState = this.createWindowState_(win, currentDesktop);
+  } else if (this.isShownOn_(windowState, currentDesktop)) {
+    windowState.state = win.state;
+    windowState.x = win.left;
+    windowState.y = win.top;
+    windowState.w = win.width;
+    windowState.h = win.height;
+  } else {
+    return;
+  }
+  this.windowStates_[win.id] = windowState;
+  this.saveStateSoon_();
+};
+
+
+/**
+ * Finds out whether a window is shown on a desktop. Sticky windows are shown on
+ * all desktops.
+ * @private
+ * @param {!virtualdesktops.WindowState} windowState The state of the window.
+ * @param {number} desktop The desktop.
+ * @return {boolean}
+ */
+virtualdesktops.VirtualDesktopManager.prototype.isShownOn_ =
+    function(windowState, desktop) {
+  return windowState.sticky === true || windowState.desktop == desktop;
+};
+
+
+/**
+ * Creates the state to remember of a window.
+ * Besides the desktop, state, position and size, this remembers a fingerprint
+ * of the window (its tab URLs and incognito flag), which allows recognizing it
+ * after its ID changed, see reidentifyWindows().
+ * @private
+ * @param {!ChromeWindow} w The window.
+ * @param {number} desktop The desktop the window is on.
+ * @return {!virtualdesktops.WindowState}
+ */
+virtualdesktops.VirtualDesktopManager.prototype.createWindowState_ =
+    function(w, desktop) {
+  var windowState = {
+    desktop: desktop,
+    state: w.state,
+    x: w.left,
+    y: w.top,
+    w: w.width,
+    h: w.height,
+    incognito: w.incognito
+  };
+  if (w.tabs) {
+    windowState.urls = this.urlsOf_(w);
+  }
+  return windowState;
+};
+
+
+/**
+ * Lists the URLs of the tabs of a window.
+ * @private
+ * @param {!ChromeWindow} w The window, including its tabs.
+ * @return {!Array<string>} The URLs of the tabs in tab order.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.urlsOf_ = function(w) {
+  return (w.tabs || []).map(function(tab) {
+    return tab.url || '';
+  });
+};
+
+
+/**
+ * Rates how likely a window is the one a remembered window state belongs to.
+ * Windows match if their incognito flags agree and either most of their tab
+ * URLs are the same, or (if the tabs are unknown) their bounds are the same.
+ * @private
+ * @param {!ChromeWindow} w The window.
+ * @param {number} winId The window ID the state was remembered for.
+ * @param {!virtualdesktops.WindowState} windowState The remembered state.
+ * @return {number} A score, the higher the more likely the window matches, or
+ *     -1 if it doesn't match at all.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.matchScore_ =
+    function(w, winId, windowState) {
+  if (windowState.incognito != null && windowState.incognito != w.incognito) {
+    return -1;
+  }
+  var score = 0;
+  var urls = w.tabs ? this.urlsOf_(w) : [];
+  var oldUrls = windowState.urls || [];
+  if (urls.length > 0 && oldUrls.length > 0) {
+    // Similarity of the URL sets, i.e. the size of their intersection relative
+    // to the size of their union.
+    var union = {};
+    var shared = 0;
+    urls.forEach(function(url) {
+      union[url] = 1;
+    });
+    oldUrls.forEach(function(url) {
+      if (union[url] == 1) {
+        ++shared;
+      }
+      union[url] = 2;
+    });
+    var similarity = shared / Object.keys(union).length;
+    if (similarity < 0.5) {
+      return -1;
+    }
+    score += similarity;
+    if (urls.length == oldUrls.length) {
+      score += 0.25;
+    }
+  }
+  var sameBounds = w.state != this.MINIMIZED_STATE_ &&
+      w.left == windowState.x && w.top == windowState.y &&
+      w.width == windowState.w && w.height == windowState.h;
+  if (sameBounds) {
+    score += 0.5;
+  } else if (urls.length == 0 || oldUrls.length == 0) {
+    // Without tabs to compare, only the bounds can tell.
+    return -1;
+  }
+  if (w.id == winId) {
+    // Without a restart, window IDs stay the same.
+    score += 0.1;
+  }
+  return score;
+};
+
+
 /**
  * Fixes a given desktop ID so it is a valid one. A valid desktop ID is one in
  * the range from 0 to virtualdesktops.settings.getDesktops() - 1.
@@ -155,15 +489,27 @@ virtualdesktops.VirtualDesktopManager.prototype.updateWindowStates_ =
  * or currentDesktop-1 to go to the next/previous desktop.
  * If disallowEmpty, the desktop ID is adjusted to hit a non-empty one while
  * retaining cycling behavior.
+ * If absolute, reqDesktop is an absolute desktop number rather than the result
+ * of a relative move. Out-of-range values are then clamped instead of wrapped,
+ * and a request for an empty desktop (if disallowEmpty) stays on the current
+ * desktop instead of cycling on to the next non-empty one.
  * @private
  * @param {number} reqDesktop The desktop to switch to.
  * @param {boolean} disallowEmpty Disallow switching to empty desktops.
+ * @param {boolean} absolute Whether reqDesktop is an absolute desktop number.
  * @return {number} The desktop one should actually switch to.
  */
 virtualdesktops.VirtualDesktopManager.prototype.numberToDesktopId_ =
-    function(reqDesktop, disallowEmpty) {
+    function(reqDesktop, disallowEmpty, absolute) {
   var n = virtualdesktops.settings.getDesktops();
 
+  if (absolute) {
+    // Absolute desktop numbers are not subject to wraparound: a request for
+    // desktop 7 with only 4 desktops goes to the last one. As this keeps
+    // reqDesktop <= n - 1, the relative adjustments below don't touch it.
+    reqDesktop = Math.min(Math.max(reqDesktop, 0), n - 1);
+  }
+
   // First make sure the current desktop number is within the permissible bounds
   // just in case the total count changed and the current desktop number hasn't
   // been updated yet. We clamp and not wrap it so going right from a too-high
@@ -210,10 +556,12 @@ virtualdesktops.VirtualDesktopManager.prototype.numberToDesktopId_ =
   if (disallowEmpty) {
     var nWindowsOnDesktop = {};
 
-    // Count the windows on each desktop.
+    // Count the windows on each desktop of the display used last. Sticky
+    // windows are on all desktops, so they don't make any of them non-empty.
     for (var wStr in this.windowStates_) {
       var w = parseInt(wStr, 10);
-      if (this.windowStates_[w].state != this.MINIMIZED_STATE_) {
+      if (this.windowStates_[w].state != this.MINIMIZED_STATE_ &&
+          !this.windowStates_[w].sticky && this.isOnActiveDisplay_(w)) {
         var d = this.windowStates_[w].desktop;
         if (nWindowsOnDesktop[d] == null) {
           nWindowsOnDesktop[d] = 0;
@@ -222,6 +570,14 @@ virtualdesktops.VirtualDesktopManager.prototype.numberToDesktopId_ =
       }
     }
 
+    // An absolute request for an empty desktop is refused by staying where we
+    // are. Only if the current desktop is empty too (e.g. its last window was
+    // just closed) do we fall back to searching like for relative moves.
+    if (absolute && !(nWindowsOnDesktop[reqDesktop] > 0) &&
+        nWindowsOnDesktop[clampedCurrentDesktop] > 0) {
+      return clampedCurrentDesktop;
+    }
+
     // Identify the direction of adjustment.
     var direction = reqDesktop - clampedCurrentDesktop;
     // Map it to the range from -n/2 to +n/2.
@@ -266,10 +622,15 @@ virtualdesktops.VirtualDesktopManager.prototype.applyWindowStates_ =
   // First, just restore the window states. We can't restore the positions yet
   // as showing/hiding windows will move other windows around on ChromeOS.
   // During this, we can also properly restore focus.
+  // If desktops are switched per display, windows on other displays are left
+  // alone.
+  windows = windows.filter(function(w) {
+    return this.isOnActiveDisplay_(w.id);
+  }, this);
   var allStatesRestored = new virtualdesktops.BarrierClosure();
   for (var i = 0; i < windows.length; ++i) {
     var w = windows[i];
-    if (this.windowStates_[w.id].desktop == this.currentDesktop_) {
+    if (this.isShownOn_(this.windowStates_[w.id], this.currentDesktop_)) {
       // We always perform this update, to bring all managed windows to the
       // front.
       this.windowProvider_.update(w.id, {
@@ -294,7 +655,7 @@ virtualdesktops.VirtualDesktopManager.prototype.applyWindowStates_ =
   allStatesRestored.then((function() {
     for (var i = 0; i < windows.length; ++i) {
       var w = windows[i];
-      if (this.windowStates_[w.id].desktop == this.currentDesktop_ &&
+      if (this.isShownOn_(this.windowStates_[w.id], this.currentDesktop_) &&
           this.windowStates_[w.id].state != this.MINIMIZED_STATE_) {
         var updateInfo = {
           left: this.windowStates_[w.id].x,
@@ -316,9 +677,69 @@ virtualdesktops.VirtualDesktopManager.prototype.applyWindowStates_ =
 };
 
 
+/**
+ * Reassociates the current windows with the remembered window states after a
+ * browser restart, which gives all windows new IDs. Windows are recognized by
+ * their fingerprint, and put back on the desktops they were on; windows that
+ * are not recognized are put on the current desktop.
+ * Should be called once at startup, before anything else touches the windows.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.reidentifyWindows =
+    function(callback) {
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    // Find the best matches first, so a window that matches a state only
+    // somewhat doesn't take it away from one that matches it better.
+    var candidates = [];
+    windows.forEach(function(w) {
+      for (var wStr in this.windowStates_) {
+        var winId = parseInt(wStr, 10);
+        var score = this.matchScore_(w, winId, this.windowStates_[winId]);
+        if (score >= 0) {
+          candidates.push({w: w, winId: winId, score: score});
+        }
+      }
+    }, this);
+    candidates.sort(function(a, b) {
+      return b.score - a.score;
+    });
+
+    var windowStates = {};
+    var matchedIds = {};
+    candidates.forEach(function(candidate) {
+      if (candidate.w.id in windowStates || candidate.winId in matchedIds) {
+        return;
+      }
+      windowStates[candidate.w.id] = this.windowStates_[candidate.winId];
+      matchedIds[candidate.winId] = true;
+    }, this);
+    windows.forEach(function(w) {
+      if (windowStates[w.id] == null) {
+        windowStates[w.id] = this.createWindowState_(
+            w, this.currentDesktopOn_(this.displayOfWindow_(w)));
+      }
+    }, this);
+    this.windowStates_ = windowStates;
+    this.saveState_();
+    windows.forEach(function(w) {
+      this.placedWindows_[w.id] = true;
+    }, this);
+
+    // Chrome restores all windows after a restart, so the ones on other
+    // desktops have to be hidden again.
+    var focused = windows.filter(function(w) {
+      return w.focused;
+    })[0];
+    this.applyWindowStates_(windows, focused ? focused.id : -1, callback);
+  }).bind(this));
+};
+
+
 /**
  * Switches the view to a target virtual desktop.
- * @param {number} desktop The desktop to switch to.
+ * @param {number} desktop The desktop to switch to. Out-of-range values wrap
+ *     around, so currentDesktop() + 1 and currentDesktop() - 1 can be used to
+ *     go to the next and previous desktop.
  * @param {number} focusedWinId The ID of the currently focused window.
  * @param {boolean} sendToDesktop Whether to send the currently focused window
  *     to the target desktop.
@@ -326,61 +747,1140 @@ virtualdesktops.VirtualDesktopManager.prototype.applyWindowStates_ =
  */
 virtualdesktops.VirtualDesktopManager.prototype.switchToDesktop =
     function(desktop, focusedWinId, sendToDesktop, callback) {
+  this.switchToDesktop_(desktop, false, focusedWinId, sendToDesktop, callback);
+};
+
+
+/**
+ * Switches the view to a target virtual desktop given by its absolute number.
+ * Unlike switchToDesktop, out-of-range values are clamped and not wrapped, and
+ * a request to switch to an empty desktop leaves the current one active.
+ * @param {number} desktop The 0-based desktop number to switch to.
+ * @param {number} focusedWinId The ID of the currently focused window.
+ * @param {boolean} sendToDesktop Whether to send the currently focused window
+ *     to the target desktop.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.switchToAbsoluteDesktop =
+    function(desktop, focusedWinId, sendToDesktop, callback) {
+  this.switchToDesktop_(desktop, true, focusedWinId, sendToDesktop, callback);
+};
+
+
+/**
+ * Implementation of switchToDesktop and switchToAbsoluteDesktop.
+ * @private
+ * @param {number} desktop The desktop to switch to.
+ * @param {boolean} absolute Whether desktop is an absolute desktop number.
+ * @param {number} focusedWinId The ID of the currently focused window.
+ * @param {boolean} sendToDesktop Whether to send the currently focused window
+ *     to the target desktop.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.switchToDesktop_ =
+    function(desktop, absolute, focusedWinId, sendToDesktop, callback) {
   // For all windows:
-  this.windowProvider_.getAll((function(windows) {
+  this.windowProvider_.getAllWithTabs((function(windows) {
     // Refresh the window states from the actual data just received.
     this.updateWindowStates_(windows);
 
-    // Wraparound desktop IDs.
-    desktop = this.numberToDesktopId_(desktop, false);
+    this.switchWithWindows_(windows, desktop, absolute, focusedWinId,
+        sendToDesktop, callback);
+  }).bind(this));
+};
 
-    // If requested, send the given window to the new desktop.
-    if (sendToDesktop) {
-      if (this.windowStates_[focusedWinId] != null) {
-        this.windowStates_[focusedWinId].desktop = desktop;
-      }
+
+/**
+ * Implementation of switchToDesktop_ once the window states have been
+ * refreshed.
+ * @private
+ * @param {!Array<!ChromeWindow>} windows All windows.
+ * @param {number} desktop The desktop to switch to.
+ * @param {boolean} absolute Whether desktop is an absolute desktop number.
+ * @param {number} focusedWinId The ID of the currently focused window.
+ * @param {boolean} sendToDesktop Whether to send the currently focused window
+ *     to the target desktop.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.switchWithWindows_ =
+    function(windows, desktop, absolute, focusedWinId, sendToDesktop,
+        callback) {
+  // If desktops are switched per display, switch on the display of the
+  // focused window.
+  this.activateDisplayOf_(windows, focusedWinId);
+
+  // Wraparound desktop IDs.
+  desktop = this.numberToDesktopId_(desktop, false, absolute);
+
+  // If requested, send the given window to the new desktop. This takes it off
+  // all other desktops if it was sticky.
+  if (sendToDesktop) {
+    if (this.windowStates_[focusedWinId] != null) {
+      this.windowStates_[focusedWinId].desktop = desktop;
+      delete this.windowStates_[focusedWinId].sticky;
     }
+  }
+
+  // Actually switch the desktop!
+  var prevDesktop = this.currentDesktop_;
+  this.currentDesktop_ = this.numberToDesktopId_(
+      desktop, virtualdesktops.DISALLOW_EMPTY_DESKTOPS, absolute);
+
+  // Update the extension icon.
+  this.fireChange_();
 
-    // Actually switch the desktop!
-    var prevDesktop = this.currentDesktop_;
-    this.currentDesktop_ = this.numberToDesktopId_(
-        desktop, virtualdesktops.DISALLOW_EMPTY_DESKTOPS);
+  // Save this data across reboot/reload.
+  this.saveState_();
+
+  // Only apply the saved window states when actually switching desktops.
+  // Switching to the ID of the current desktop shall only save the current
+  // state, but not apply a "no-operation" change to all windows (which would
+  // cause flicker).
+  if (this.currentDesktop_ != prevDesktop) {
+    // Apply new desktop ID to known windows, then call the callback.
+    this.applyWindowStates_(windows, focusedWinId, callback);
+  } else {
+    // We're already done.
+    callback();
+  }
+};
 
-    // Update the extension icon.
-    this.onChange_(this.currentDesktop_);
 
-    // Save this data across reboot/reload.
+/**
+ * Sends a window to a virtual desktop without switching there.
+ * The window is minimized if it leaves the current desktop, and restored to its
+ * remembered state if it arrives on the current desktop. Sticky windows stop
+ * being sticky.
+ * @param {number} winId The ID of the window to send.
+ * @param {number} desktop The 0-based number of the desktop to send it to.
+ * @param {function()} callback The callback to call when done.
+ * @param {!virtualdesktops.tiling.Rect=} opt_bounds Where to place the window
+ *     on that desktop. If given, the window is restored there as a normal
+ *     window instead of in its remembered state.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.sendWindowToDesktop =
+    function(winId, desktop, callback, opt_bounds) {
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    this.updateWindowStates_(windows);
+    var windowState = this.windowStates_[winId];
+    if (windowState == null) {
+      callback();
+      return;
+    }
+    windowState.desktop = this.numberToDesktopId_(desktop, false, true);
+    delete windowState.sticky;
+    if (opt_bounds) {
+      windowState.state = 'normal';
+      windowState.x = opt_bounds.left;
+      windowState.y = opt_bounds.top;
+      windowState.w = opt_bounds.width;
+      windowState.h = opt_bounds.height;
+    }
     this.saveState_();
 
-    // Only apply the saved window states when actually switching desktops.
-    // Switching to the ID of the current desktop shall only save the current
-    // state, but not apply a "no-operation" change to all windows (which would
-    // cause flicker).
-    if (this.currentDesktop_ != prevDesktop) {
-      // Apply new desktop ID to known windows, then call the callback.
-      this.applyWindowStates_(windows, focusedWinId, callback);
+    // As in applyWindowStates_, the position can only be restored once the
+    // state has been.
+    var done = (function() {
+      if (virtualdesktops.DISALLOW_EMPTY_DESKTOPS) {
+        // Sending away the last window of the current desktop has to switch
+        // away from it. switchToDesktop takes care of that.
+        this.switchToDesktop(currentDesktop, winId, false, callback);
+      } else {
+        callback();
+      }
+    }).bind(this);
+    var currentDesktop = this.currentDesktopOn_(this.displayAt_(
+        windowState.x, windowState.y, windowState.w, windowState.h));
+    if (windowState.desktop != currentDesktop) {
+      this.windowProvider_.update(winId, {
+        state: this.MINIMIZED_STATE_
+      }, done);
+    } else if (windowState.state == this.MINIMIZED_STATE_) {
+      done();
     } else {
-      // We're already done.
+      this.windowProvider_.update(winId, {
+        state: windowState.state,
+        focused: true
+      }, (function() {
+        this.windowProvider_.update(winId, {
+          left: windowState.x,
+          top: windowState.y,
+          width: windowState.w,
+          height: windowState.h
+        }, done);
+      }).bind(this));
+    }
+  }).bind(this));
+};
+
+
+/**
+ * Sends a tab to a virtual desktop without switching there. The tab is moved
+ * into a window on that desktop, or into a new window put there if there is
+ * none of the same kind. Does nothing if the tab's window already is on that
+ * desktop.
+ * @param {number} tabId The ID of the tab to send.
+ * @param {number} desktop The 0-based number of the desktop to send it to.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.sendTabToDesktop =
+    function(tabId, desktop, callback) {
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    this.updateWindowStates_(windows);
+    desktop = this.numberToDesktopId_(desktop, false, true);
+    var source = windows.filter(function(w) {
+      return (w.tabs || []).some(function(tab) {
+        return tab.id == tabId;
+      });
+    })[0];
+    if (source == null || this.isShownOn_(this.windowStates_[source.id],
+        desktop)) {
       callback();
+      return;
+    }
+    // Incognito tabs can only go to incognito windows and vice versa.
+    var target = windows.filter(function(w) {
+      var windowState = this.windowStates_[w.id];
+      return w.type == source.type && w.incognito == source.incognito &&
+          windowState.desktop == desktop && !windowState.sticky;
+    }, this)[0];
+    if (target != null) {
+      this.windowProvider_.moveTab(tabId, target.id, (function() {
+        this.saveState_();
+        callback();
+      }).bind(this));
+      return;
+    }
+
+    // The new window gets the position and size of the one the tab came from,
+    // and is hidden unless the desktop is current.
+    var sourceState = this.windowStates_[source.id];
+    this.windowProvider_.create({
+      type: source.type,
+      incognito: source.incognito,
+      tabId: tabId,
+      focused: false,
+      left: sourceState.x,
+      top: sourceState.y,
+      width: sourceState.w,
+      height: sourceState.h
+    }, (function(win) {
+      this.placedWindows_[win.id] = true;
+      var windowState = this.createWindowState_(win, desktop);
+      windowState.state = sourceState.state;
+      this.windowStates_[win.id] = windowState;
+      this.saveState_();
+      if (desktop == this.currentDesktopForWindow(win.id)) {
+        callback();
+        return;
+      }
+      this.windowProvider_.update(win.id, {
+        state: this.MINIMIZED_STATE_
+      }, callback);
+    }).bind(this));
+  }).bind(this));
+};
+
+
+/**
+ * Creates a new window from the given tabs, keeping their order and pinned
+ * state. Tabs can't be moved between incognito and regular windows, so tabs
+ * not matching the requested incognito mode are left where they are. The
+ * caller places the window, so window rules leave it alone.
+ * @param {!Array<number>} tabIds The IDs of the tabs, in tab order.
+ * @param {number} activeTabId The ID of the tab to make active.
+ * @param {!ChromeWindowCreateInfo} createInfo Info for creating the window,
+ *     except for the tab.
+ * @param {function(ChromeWindow)} callback The callback to call when done. It
+ *     receives the created window, or null if there was no tab to create it
+ *     from.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.createWindowFromTabs =
+    function(tabIds, activeTabId, createInfo, callback) {
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    var tabs = {};
+    windows.forEach(function(w) {
+      if (w.incognito != createInfo.incognito) {
+        return;
+      }
+      (w.tabs || []).forEach(function(tab) {
+        tabs[tab.id] = tab;
+      });
+    });
+    tabIds = tabIds.filter(function(tabId) {
+      return tabs.hasOwnProperty(tabId);
+    });
+    if (tabIds.length == 0) {
+      callback(null);
+      return;
     }
+
+    createInfo.tabId = tabIds[0];
+    this.windowProvider_.create(createInfo, (function(win) {
+      if (win == null) {
+        callback(null);
+        return;
+      }
+      this.placedWindows_[win.id] = true;
+      // The other tabs are moved one by one, as each goes to the end of the
+      // window. Chrome may unpin tabs it moves to another window, so they are
+      // pinned again right away, which also keeps the pinned tabs in front.
+      var gatherTab = (function(i) {
+        if (i == tabIds.length) {
+          if (tabIds.indexOf(activeTabId) < 0) {
+            callback(win);
+            return;
+          }
+          this.windowProvider_.updateTab(activeTabId, {active: true},
+              function() {
+                callback(win);
+              });
+          return;
+        }
+        var pin = (function() {
+          if (!tabs[tabIds[i]].pinned) {
+            gatherTab(i + 1);
+            return;
+          }
+          this.windowProvider_.updateTab(tabIds[i], {pinned: true},
+              function() {
+                gatherTab(i + 1);
+              });
+        }).bind(this);
+        if (i == 0) {
+          pin();
+        } else {
+          this.windowProvider_.moveTab(tabIds[i], win.id, pin);
+        }
+      }).bind(this);
+      gatherTab(0);
+    }).bind(this));
   }).bind(this));
 };
 
 
 /**
- * Finds the desktop a given window is (supposed to be) on.
+ * Moves all windows of a virtual desktop to another one, merging both.
+ * Sticky windows are left alone. If the source desktop is current, the target
+ * desktop becomes current.
+ * @param {number} from The 0-based number of the desktop to empty.
+ * @param {number} to The 0-based number of the desktop to move the windows to.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.moveDesktopWindows =
+    function(from, to, callback) {
+  var n = virtualdesktops.settings.getDesktops();
+  from = this.numberToDesktopId_(from, false, true);
+  to = this.numberToDesktopId_(to, false, true);
+  var mapping = [];
+  for (var d = 0; d < n; ++d) {
+    mapping.push(d == from ? to : d);
+  }
+  this.remapDesktops_(mapping, callback);
+};
+
+
+/**
+ * Swaps the windows, names and accent colors of two virtual desktops. The
+ * current desktop stays with its windows.
+ * @param {number} desktop The 0-based number of one desktop.
+ * @param {number} otherDesktop The 0-based number of the other desktop.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.swapDesktops =
+    function(desktop, otherDesktop, callback) {
+  var n = virtualdesktops.settings.getDesktops();
+  desktop = this.numberToDesktopId_(desktop, false, true);
+  otherDesktop = this.numberToDesktopId_(otherDesktop, false, true);
+  var mapping = [];
+  for (var d = 0; d < n; ++d) {
+    mapping.push(d);
+  }
+  mapping[desktop] = otherDesktop;
+  mapping[otherDesktop] = desktop;
+  // Swapping is its own inverse, so the mapping is also the new order.
+  virtualdesktops.settings.reorderDesktops(mapping);
+  this.renumberDesktops_(mapping, callback);
+};
+
+
+/**
+ * Inserts an empty virtual desktop, shifting the following desktops along with
+ * their windows, names and accent colors. Does nothing if there already are
+ * as many desktops as supported.
+ * @param {number} desktop The 0-based number of the new desktop.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.insertDesktop =
+    function(desktop, callback) {
+  var n = virtualdesktops.settings.getDesktops();
+  if (n >= virtualdesktops.settings.MAX_DESKTOPS) {
+    callback();
+    return;
+  }
+  desktop = Math.min(Math.max(desktop, 0), n);
+  var order = [];
+  var mapping = [];
+  for (var d = 0; d < n; ++d) {
+    order.push(d);
+    mapping.push(d < desktop ? d : d + 1);
+  }
+  order.splice(desktop, 0, -1);
+  virtualdesktops.settings.reorderDesktops(order);
+  this.renumberDesktops_(mapping, callback);
+};
+
+
+/**
+ * Deletes a virtual desktop, shifting the following desktops along with their
+ * windows, names and accent colors. The windows of the deleted desktop are
+ * moved to the previous desktop, or to the next one when deleting the first.
+ * Does nothing if this is the only desktop.
+ * @param {number} desktop The 0-based number of the desktop to delete.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.deleteDesktop =
+    function(desktop, callback) {
+  var n = virtualdesktops.settings.getDesktops();
+  if (n <= 1) {
+    callback();
+    return;
+  }
+  desktop = this.numberToDesktopId_(desktop, false, true);
+  var order = [];
+  var mapping = [];
+  for (var d = 0; d < n; ++d) {
+    if (d != desktop) {
+      order.push(d);
+    }
+    mapping.push(d < desktop ? d : Math.max(d - 1, 0));
+  }
+  virtualdesktops.settings.reorderDesktops(order);
+  this.renumberDesktops_(mapping, callback);
+};
+
+
+/**
+ * Like remapDesktops_, but for changes to the desktops themselves rather than
+ * to the windows on them, so the recorded history follows the new numbers.
+ * @private
+ * @param {!Array<number>} mapping For each 0-based desktop number before, the
+ *     number after. Windows on desktops beyond its end count as being on the
+ *     last desktop.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.renumberDesktops_ =
+    function(mapping, callback) {
+  virtualdesktops.history.remapDesktops(mapping);
+  this.remapDesktops_(mapping, callback);
+};
+
+
+/**
+ * Moves the windows on desktops that no longer exist, as the number of desktops
+ * was lowered, to the remaining desktops. Depending on the settings, they are
+ * all moved to the last desktop, or desktop d is moved to desktop d modulo the
+ * number of desktops. A current desktop that no longer exists moves along with
+ * its windows. Does nothing if all windows are on existing desktops.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.reconcileDesktops =
+    function(callback) {
+  var n = virtualdesktops.settings.getDesktops();
+  var last = this.currentDesktop_;
+  for (var displayId in this.currentDesktops_) {
+    last = Math.max(last, this.currentDesktops_[displayId]);
+  }
+  for (var winId in this.windowStates_) {
+    last = Math.max(last, this.windowStates_[winId].desktop);
+  }
+  if (last < n) {
+    callback();
+    return;
+  }
+  var merge = virtualdesktops.settings.getRemovedDesktopWindows() == 'merge';
+  var mapping = [];
+  for (var d = 0; d <= last; ++d) {
+    if (d < n) {
+      mapping.push(d);
+    } else {
+      mapping.push(merge ? n - 1 : d % n);
+    }
+  }
+  this.remapDesktops_(mapping, callback);
+};
+
+
+/**
+ * Moves the windows of all desktops, and the current desktop of each display,
+ * to other desktops. As the current desktops move along with their windows,
+ * no window has to be hidden; windows of desktops that were merged into a
+ * current one are shown.
+ * @private
+ * @param {!Array<number>} mapping For each 0-based desktop number before, the
+ *     number after. Windows on desktops beyond its end count as being on the
+ *     last desktop.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.remapDesktops_ =
+    function(mapping, callback) {
+  var map = function(desktop) {
+    return mapping[Math.min(desktop, mapping.length - 1)];
+  };
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    this.updateWindowStates_(windows);
+    for (var winId in this.windowStates_) {
+      var windowState = this.windowStates_[winId];
+      windowState.desktop = map(windowState.desktop);
+    }
+    this.currentDesktop_ = map(this.currentDesktop_);
+    for (var displayId in this.currentDesktops_) {
+      this.currentDesktops_[displayId] = map(this.currentDesktops_[displayId]);
+    }
+    this.saveState_();
+    this.fireChange_();
+
+    // As in applyWindowStates_, the positions can only be restored once the
+    // states have been.
+    var done = new virtualdesktops.BarrierClosure();
+    windows.forEach(function(w) {
+      var windowState = this.windowStates_[w.id];
+      if (w.state != this.MINIMIZED_STATE_ ||
+          windowState.state == this.MINIMIZED_STATE_ ||
+          !this.isShownOn_(windowState,
+              this.currentDesktopOn_(this.displayOfWindow_(w)))) {
+        return;
+      }
+      var restored = done.get();
+      this.windowProvider_.update(w.id, {state: windowState.state},
+          (function() {
+            this.windowProvider_.update(w.id, {
+              left: windowState.x,
+              top: windowState.y,
+              width: windowState.w,
+              height: windowState.h
+            }, restored);
+          }).bind(this));
+    }, this);
+    done.finalize();
+    done.then(callback);
+  }).bind(this));
+};
+
+
+/**
+ * Records the current state of the virtual desktops and of all windows, so it
+ * can be restored to undo an operation.
+ * @param {function(!virtualdesktops.history.Entry)} callback The callback that
+ *     receives the state.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.captureState =
+    function(callback) {
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    this.updateWindowStates_(windows);
+    this.saveState_();
+    callback({
+      state: /** @type {!virtualdesktops.storage.State} */ (
+          JSON.parse(JSON.stringify(this.getState_()))),
+      windows: windows.map(function(w) {
+        return {
+          id: w.id,
+          state: w.state,
+          left: w.left,
+          top: w.top,
+          width: w.width,
+          height: w.height
+        };
+      })
+    });
+  }).bind(this));
+};
+
+
+/**
+ * Restores a state recorded by captureState(). Windows that have been closed
+ * since are skipped, and windows that have been created since are left alone.
+ * The displays stay as they are now.
+ * @param {!virtualdesktops.history.Entry} entry The state to restore.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.restoreState =
+    function(entry, callback) {
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    this.updateWindowStates_(windows);
+    var existing = {};
+    windows.forEach(function(w) {
+      existing[w.id] = w;
+    });
+
+    this.currentDesktop_ = entry.state.currentDesktop;
+    this.activeDisplay_ = entry.state.activeDisplay;
+    this.currentDesktops_ = entry.state.currentDesktops;
+    for (var winIdStr in entry.state.windowStates) {
+      if (existing[winIdStr] != null) {
+        this.windowStates_[winIdStr] = entry.state.windowStates[winIdStr];
+      }
+    }
+    this.saveState_();
+    this.fireChange_();
+
+    var recorded = entry.windows.filter(function(w) {
+      return existing[w.id] != null;
+    });
+    // As in applyWindowStates_, the positions can only be restored once the
+    // states have been.
+    var allStatesRestored = new virtualdesktops.BarrierClosure();
+    recorded.forEach(function(w) {
+      if (existing[w.id].state != w.state) {
+        this.windowProvider_.update(w.id, {state: w.state},
+            allStatesRestored.get());
+      }
+    }, this);
+    allStatesRestored.finalize();
+
+    var done = new virtualdesktops.BarrierClosure();
+    allStatesRestored.then((function() {
+      recorded.forEach(function(w) {
+        if (w.state == 'normal') {
+          this.windowProvider_.update(w.id, {
+            left: w.left,
+            top: w.top,
+            width: w.width,
+            height: w.height
+          }, done.get());
+        }
+      }, this);
+      done.finalize();
+    }).bind(this));
+    done.then(callback);
+  }).bind(this));
+};
+
+
+/**
+ * Makes a window sticky, i.e. shown on all desktops, or puts it back on the
+ * current desktop only. A window that becomes sticky is shown right away.
+ * @param {number} winId The ID of the window.
+ * @param {boolean} sticky Whether the window shall be sticky.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.setWindowSticky =
+    function(winId, sticky, callback) {
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    this.updateWindowStates_(windows);
+    var windowState = this.windowStates_[winId];
+    if (windowState == null) {
+      callback();
+      return;
+    }
+    if (!sticky) {
+      // Stay where the user can see it.
+      windowState.desktop = this.currentDesktopForWindow(winId);
+      delete windowState.sticky;
+      this.saveState_();
+      callback();
+      return;
+    }
+    windowState.sticky = true;
+    this.saveState_();
+    this.applyWindowStates_(windows.filter(function(w) {
+      return w.id == winId;
+    }), winId, callback);
+  }).bind(this));
+};
+
+
+/**
+ * Applies the first window rule a window matches, if any: sends the window to
+ * the rule's desktop, and places it in the rule's grid cells on the display it
+ * is on.
+ * Windows are only checked once the URL of their active tab is known, which
+ * may not be the case yet right after they have been created. Windows placed
+ * by the operation that created them, or restored after a browser restart, are
+ * left where they are.
+ * @param {number} winId The ID of the window.
+ * @param {function(boolean)} callback The callback to call when done. Receives
+ *     whether the window has been checked, i.e. false if its URL is not known
+ *     yet, so it should be checked again once it is.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.applyWindowRules =
+    function(winId, callback) {
+  if (this.isPlacedWindow(winId)) {
+    callback(true);
+    return;
+  }
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    // Until a rule sends it elsewhere, a new window is on the desktop it was
+    // created on.
+    this.updateWindowStates_(windows);
+    this.saveState_();
+    var win = windows.filter(function(w) {
+      return w.id == winId;
+    })[0];
+    if (win == null) {
+      // Already closed again.
+      callback(true);
+      return;
+    }
+    if (virtualdesktops.rules.activeUrlOf(win) == '') {
+      callback(false);
+      return;
+    }
+    var rule = virtualdesktops.rules.find(
+        virtualdesktops.settings.getWindowRules(), win);
+    if (rule == null) {
+      callback(true);
+      return;
+    }
+    console.debug('Window ' + winId + ' matches rule ' + rule.pattern);
+    this.sendWindowToDesktop(winId, rule.desktop, function() {
+      callback(true);
+    }, this.ruleBounds_(rule, win) || undefined);
+  }).bind(this));
+};
+
+
+/**
+ * Calculates where a window rule places a window.
+ * @private
+ * @param {!virtualdesktops.WindowRule} rule The rule.
+ * @param {!ChromeWindow} win The window.
+ * @return {?virtualdesktops.tiling.Rect} The bounds of the rule's grid cells on
+ *     the display the window is on, or null if the rule keeps the position or
+ *     the displays are not known.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.ruleBounds_ =
+    function(rule, win) {
+  if (rule.x == null || this.displays_.length == 0) {
+    return null;
+  }
+  var i = virtualdesktops.displays.findDisplay(this.displays_, {
+    left: win.left || 0,
+    top: win.top || 0,
+    width: win.width || 0,
+    height: win.height || 0
+  });
+  var workArea = this.displays_[Math.max(i, 0)].workArea;
+  // The grid may have been made smaller since the rule was written.
+  var columns = virtualdesktops.settings.getColumns();
+  var rows = virtualdesktops.settings.getRows();
+  var x = Math.min(rule.x, columns - 1);
+  var y = Math.min(rule.y, rows - 1);
+  var w = Math.min(rule.w, columns - x);
+  var h = Math.min(rule.h, rows - y);
+  var message = {};
+  virtualdesktops.grid.writeFractionToMessage(x / columns, y / rows,
+      w / columns, h / rows, workArea, message);
+  return {
+    left: message['x'],
+    top: message['y'],
+    width: message['w'],
+    height: message['h']
+  };
+};
+
+
+/**
+ * Switches to the desktop a given window is on, and focuses the window.
+ * @param {number} winId The ID of the window to focus.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.focusWindow =
+    function(winId, callback) {
+  var desktop = this.getDesktopOfWindow(winId);
+  if (desktop == null) {
+    callback();
+    return;
+  }
+  this.switchToAbsoluteDesktop(desktop, winId, false, (function() {
+    // Even when already on the right desktop, the window may have been
+    // minimized by the user. Focusing it restores it.
+    this.windowProvider_.update(winId, {focused: true}, callback);
+  }).bind(this));
+};
+
+
+/**
+ * Handles a window on another desktop having been focused by the user, e.g.
+ * via Alt-Tab, which restores it if it was hidden. Either switches to the
+ * desktop of the window, or moves the window to the current desktop.
+ * ChromeOS moves and resizes hidden windows when restoring them, so the window
+ * gets its remembered state, position and size back in both cases.
+ * Does nothing if the window is on the current desktop.
+ * @param {number} winId The ID of the focused window.
+ * @param {boolean} follow Whether to switch to the desktop of the window,
+ *     rather than moving the window to the current desktop.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.handleFocusedWindow =
+    function(winId, follow, callback) {
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    var win = windows.filter(function(w) {
+      return w.id == winId;
+    })[0];
+    var windowState = this.windowStates_[winId];
+    if (win == null || win.state == this.MINIMIZED_STATE_ ||
+        windowState == null ||
+        this.isShownOn_(windowState, this.currentDesktopForWindow(winId))) {
+      callback();
+      return;
+    }
+
+    // Refreshing the window states would take the window to the current
+    // desktop where it is now, so its remembered state is put back afterwards.
+    this.updateWindowStates_(windows.filter(function(w) {
+      return w.id != winId;
+    }));
+    if (windowState.state == this.MINIMIZED_STATE_) {
+      // The window was minimized before it was hidden, so there is no position
+      // and size to go back to.
+      windowState = this.createWindowState_(win, windowState.desktop);
+    }
+    this.windowStates_[winId] = windowState;
+
+    if (follow) {
+      this.switchWithWindows_(windows, windowState.desktop, true, winId, false,
+          callback);
+      return;
+    }
+    windowState.desktop = this.currentDesktopForWindow(winId);
+    this.saveState_();
+    // As in applyWindowStates_, the position can only be restored once the
+    // state has been.
+    this.windowProvider_.update(winId, {
+      state: windowState.state,
+      focused: true
+    }, (function() {
+      this.windowProvider_.update(winId, {
+        left: windowState.x,
+        top: windowState.y,
+        width: windowState.w,
+        height: windowState.h
+      }, callback);
+    }).bind(this));
+  }).bind(this));
+};
+
+
+/**
+ * Tiles all visible windows of the current desktop on the screen.
+ * The focused window comes first (i.e. becomes the main window in master/stack
+ * mode); the others keep their order from left to right, then top to bottom.
+ * @param {virtualdesktops.tiling.Mode} mode How to arrange the windows.
+ * @param {!virtualdesktops.tiling.Rect} workArea The screen area to arrange
+ *     the windows on.
+ * @param {number} focusedWinId The ID of the currently focused window.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.arrangeDesktop =
+    function(mode, workArea, focusedWinId, callback) {
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    this.updateWindowStates_(windows);
+    this.activateDisplayOf_(windows, focusedWinId);
+
+    var visible = windows.filter(function(w) {
+      return this.windowStates_[w.id].desktop == this.currentDesktop_ &&
+          w.state != this.MINIMIZED_STATE_ && this.isOnActiveDisplay_(w.id);
+    }, this);
+    visible.sort(function(a, b) {
+      if ((a.id == focusedWinId) != (b.id == focusedWinId)) {
+        return a.id == focusedWinId ? -1 : 1;
+      }
+      return (a.left - b.left) || (a.top - b.top) || (a.id - b.id);
+    });
+    var rects =
+        virtualdesktops.tiling.computeRects(mode, visible.length, workArea);
+
+    var done = new virtualdesktops.BarrierClosure();
+    for (var i = 0; i < visible.length; ++i) {
+      var windowState = this.windowStates_[visible[i].id];
+      windowState.state = 'normal';
+      windowState.x = rects[i].left;
+      windowState.y = rects[i].top;
+      windowState.w = rects[i].width;
+      windowState.h = rects[i].height;
+      this.windowProvider_.update(visible[i].id, {
+        state: windowState.state,
+        left: windowState.x,
+        top: windowState.y,
+        width: windowState.w,
+        height: windowState.h
+      }, done.get());
+    }
+    done.finalize();
+    this.saveState_();
+
+    done.then(callback);
+  }).bind(this));
+};
+
+
+/**
+ * Sets the displays windows can be on. When a display has been disconnected,
+ * the remembered positions of windows that were on it are moved to the first
+ * remaining display, so they are restored on-screen when switching desktops.
+ * @param {!Array<!virtualdesktops.displays.Display>} displays The displays.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.setDisplays =
+    function(displays) {
+  var oldDisplays = this.displays_;
+  this.displays_ = displays;
+  // New displays start out on the desktop of the display used last.
+  displays.forEach(function(display) {
+    if (this.currentDesktops_[display.id] == null) {
+      this.currentDesktops_[display.id] = this.currentDesktop_;
+    }
+  }, this);
+  for (var winId in this.windowStates_) {
+    var windowState = this.windowStates_[winId];
+    var rect = virtualdesktops.displays.remapRect({
+      left: windowState.x,
+      top: windowState.y,
+      width: windowState.w,
+      height: windowState.h
+    }, oldDisplays, displays);
+    if (rect != null) {
+      windowState.x = rect.left;
+      windowState.y = rect.top;
+      windowState.w = rect.width;
+      windowState.h = rect.height;
+    }
+  }
+  this.saveState_();
+  this.fireChange_();
+};
+
+
+/**
+ * Records all windows, their tabs and the desktops they are on, so they can be
+ * recreated later, e.g. after a browser restart changed all window IDs.
+ * @param {string} name The name of the snapshot.
+ * @param {function(!virtualdesktops.SessionSnapshot)} callback The callback
+ *     that receives the snapshot.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.takeSnapshot =
+    function(name, callback) {
+  this.getWindowsByDesktop((function(windowsByDesktop) {
+    var desktops = windowsByDesktop.map(function(windows) {
+      return windows.map(function(win) {
+        var windowState = this.windowStates_[win.id];
+        return {
+          tabs: (win.tabs || []).map(function(tab) {
+            return {url: tab.url, pinned: tab.pinned};
+          }),
+          incognito: win.incognito,
+          state: windowState.state,
+          x: windowState.x,
+          y: windowState.y,
+          w: windowState.w,
+          h: windowState.h
+        };
+      }, this);
+    }, this);
+    callback({name: name, created: Date.now(), desktops: desktops});
+  }).bind(this));
+};
+
+
+/**
+ * Recreates the windows recorded in a snapshot, in addition to the existing
+ * ones, and puts them on the desktops they were on. Windows that are not on the
+ * current desktop are minimized.
+ * @param {!virtualdesktops.SessionSnapshot} snapshot The snapshot.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.restoreSnapshot =
+    function(snapshot, callback) {
+  var n = virtualdesktops.settings.getDesktops();
+  var done = new virtualdesktops.BarrierClosure();
+  snapshot.desktops.forEach(function(windows, desktop) {
+    windows.forEach(function(snapshotWindow) {
+      this.restoreSnapshotWindow_(snapshotWindow, Math.min(desktop, n - 1),
+          done.get());
+    }, this);
+  }, this);
+  done.finalize();
+  done.then((function() {
+    this.saveState_();
+    callback();
+  }).bind(this));
+};
+
+
+/**
+ * Recreates a single window recorded in a snapshot.
+ * @private
+ * @param {!virtualdesktops.SessionSnapshotWindow} snapshotWindow The window.
+ * @param {number} desktop The desktop to put the window on.
+ * @param {function()} callback The callback to call when done.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.restoreSnapshotWindow_ =
+    function(snapshotWindow, desktop, callback) {
+  var createInfo = {
+    url: snapshotWindow.tabs.map(function(tab) {
+      return tab.url;
+    }),
+    incognito: snapshotWindow.incognito,
+    focused: false
+  };
+  // Windows that have never been seen unminimized have no known position.
+  if (snapshotWindow.x != null) {
+    createInfo.left = snapshotWindow.x;
+    createInfo.top = snapshotWindow.y;
+    createInfo.width = snapshotWindow.w;
+    createInfo.height = snapshotWindow.h;
+  }
+  this.windowProvider_.create(createInfo, (function(win) {
+    if (win == null) {
+      callback();
+      return;
+    }
+    this.placedWindows_[win.id] = true;
+    this.windowStates_[win.id] = {
+      desktop: desktop,
+      state: snapshotWindow.state,
+      x: snapshotWindow.x,
+      y: snapshotWindow.y,
+      w: snapshotWindow.w,
+      h: snapshotWindow.h
+    };
+
+    var done = new virtualdesktops.BarrierClosure();
+    var tabs = win.tabs || [];
+    for (var i = 0; i < tabs.length && i < snapshotWindow.tabs.length; ++i) {
+      if (snapshotWindow.tabs[i].pinned) {
+        this.windowProvider_.updateTab(tabs[i].id, {pinned: true}, done.get());
+      }
+    }
+    // Windows can't be created minimized or maximized, so the state has to be
+    // applied afterwards.
+    var state = snapshotWindow.state;
+    if (desktop != this.currentDesktopOn_(this.displayAt_(
+        snapshotWindow.x, snapshotWindow.y, snapshotWindow.w,
+        snapshotWindow.h))) {
+      state = this.MINIMIZED_STATE_;
+    }
+    if (state != 'normal') {
+      this.windowProvider_.update(win.id, {state: state}, done.get());
+    }
+    done.finalize();
+    done.then(callback);
+  }).bind(this));
+};
+
+
+/**
+ * Lists all windows grouped by the desktop they are on.
+ * The remembered window states are refreshed first, so windows that were not
+ * known yet are assigned to the current desktop.
+ * @param {function(!Array<!Array<!ChromeWindow>>)} callback The callback that
+ *     receives, for each desktop, the list of windows on it. The windows
+ *     include their tabs.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.getWindowsByDesktop =
+    function(callback) {
+  this.windowProvider_.getAllWithTabs((function(windows) {
+    this.updateWindowStates_(windows);
+    this.saveState_();
+
+    var n = virtualdesktops.settings.getDesktops();
+    var windowsByDesktop = [];
+    for (var d = 0; d < n; ++d) {
+      windowsByDesktop.push([]);
+    }
+    for (var i = 0; i < windows.length; ++i) {
+      // Windows on desktops that no longer exist are listed on the last one,
+      // which is also where switching from there would take the user.
+      var desktop = Math.min(this.windowStates_[windows[i].id].desktop, n - 1);
+      windowsByDesktop[desktop].push(windows[i]);
+    }
+    callback(windowsByDesktop);
+  }).bind(this));
+};
+
+
+/**
+ * Finds the desktop a given window is (supposed to be) on. Sticky windows are
+ * on the current desktop of their display.
  * @param {number} winId Window ID to query.
  * @return {?number} The desktop the window should be on, or null if unknown.
  */
 virtualdesktops.VirtualDesktopManager.prototype.getDesktopOfWindow =
     function(winId) {
-  return this.windowStates_[winId] && this.windowStates_[winId].desktop;
+  var windowState = this.windowStates_[winId];
+  if (windowState == null) {
+    return null;
+  }
+  if (windowState.sticky) {
+    return this.currentDesktopForWindow(winId);
+  }
+  return windowState.desktop;
+};
+
+
+/**
+ * Finds out whether a given window is sticky, i.e. shown on all desktops.
+ * @param {number} winId Window ID to query.
+ * @return {boolean}
+ */
+virtualdesktops.VirtualDesktopManager.prototype.isWindowSticky =
+    function(winId) {
+  return this.windowStates_[winId] != null &&
+      this.windowStates_[winId].sticky === true;
+};
+
+
+/**
+ * Finds out whether a given window has been placed by the operation that
+ * created it, or restored after a browser restart, rather than been opened
+ * by the user.
+ * @param {number} winId Window ID to query.
+ * @return {boolean}
+ */
+virtualdesktops.VirtualDesktopManager.prototype.isPlacedWindow =
+    function(winId) {
+  return this.placedWindows_[winId] === true;
+};
+
+
+/**
+ * Finds the current desktop of the display a given window is on. Unless
+ * desktops are switched per display, this is just the current desktop.
+ * @param {number} winId Window ID to query.
+ * @return {number} The current desktop of the window's display.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.currentDesktopForWindow =
+    function(winId) {
+  var windowState = this.windowStates_[winId];
+  if (windowState == null) {
+    return this.currentDesktop_;
+  }
+  return this.currentDesktopOn_(this.displayAt_(
+      windowState.x, windowState.y, windowState.w, windowState.h));
+};
+
+
+/**
+ * Finds the current desktop of each display, if desktops are switched per
+ * display.
+ * @return {!Array<number>} The current desktop of each display, in the order
+ *     of the displays passed to setDisplays(). Empty unless desktops are
+ *     switched per display.
+ */
+virtualdesktops.VirtualDesktopManager.prototype.getCurrentDesktopsByDisplay =
+    function() {
+  if (!virtualdesktops.settings.getPerDisplayDesktops()) {
+    return [];
+  }
+  return this.displays_.map(function(display) {
+    return this.currentDesktopOn_(display.id);
+  }, this);
 };
 
 
 /**
  * Finds the current desktop.
- * @return {number} The current desktop.
+ * @return {number} The current desktop of the display that was used last.
  */
 virtualdesktops.VirtualDesktopManager.prototype.currentDesktop = function() {
   return this.currentDesktop_;
@@ -395,6 +1895,7 @@ virtualdesktops.VirtualDesktopManager.prototype.currentDesktop = function() {
 virtualdesktops.VirtualDesktopManager.prototype.forgetWindow =
     function(winId, callback) {
   delete this.windowStates_[winId];
+  delete this.placedWindows_[winId];
   this.saveState_();
   if (virtualdesktops.DISALLOW_EMPTY_DESKTOPS) {
     // Perform a switch to the current desktop.
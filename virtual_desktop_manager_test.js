@@ -23,9 +23,14 @@ goog.setTestOnly();
 
 goog.require('goog.testing.AsyncTestCase');
 goog.require('goog.testing.jsunit');
+goog.require('virtualdesktops');
 goog.require('virtualdesktops.FakeWindowProvider');
 goog.require('virtualdesktops.VirtualDesktopManager');
+goog.require('virtualdesktops.history');
 goog.require('virtualdesktops.settings');
+goog.require('virtualdesktops.storage');
+goog.require('virtualdesktops.store');
+goog.require('virtualdesktops.tiling');
 
 
 // This variable is initialized and explained at the bottom of this file.
@@ -53,6 +58,26 @@ var virtualDesktopManager = null;
 var currentDesktop;
 
 
+/**
+ * The display windows are on unless moved.
+ * @const {!virtualdesktops.displays.Display}
+ */
+var PRIMARY_DISPLAY = {
+  id: 'primary',
+  workArea: {left: 0, top: 0, width: 1280, height: 960}
+};
+
+
+/**
+ * A display right of the primary one.
+ * @const {!virtualdesktops.displays.Display}
+ */
+var SECONDARY_DISPLAY = {
+  id: 'secondary',
+  workArea: {left: 1280, top: 0, width: 1280, height: 960}
+};
+
+
 /**
  * Creates a new window for use by this test.
  * @param {number} id ID of the window to create.
@@ -86,8 +111,12 @@ function createWindow(id, x, y, w, h, state) {
  */
 function setUp() {
   virtualdesktops.settings.setDesktops(4);
-  delete window.localStorage['currentDesktop'];
-  delete window.localStorage['windowStates'];
+  virtualdesktops.settings.setPerDisplayDesktops(false);
+  virtualdesktops.store.remove(
+      virtualdesktops.store.Area.SYNC, 'desktop-names');
+  virtualdesktops.store.remove(virtualdesktops.store.Area.LOCAL, 'state');
+  virtualdesktops.store.remove(
+      virtualdesktops.store.Area.LOCAL, 'stateVersion');
   windowProvider = new virtualdesktops.FakeWindowProvider();
   createWindow(1, 0, 0, 1280, 480, 'normal');
   createWindow(2, 0, 480, 640, 480, 'normal');
@@ -228,6 +257,105 @@ function testSwitchForwardFromDeletedDesktop() {
 }
 
 
+/**
+ * Tests whether lowering the number of desktops moves the windows on removed
+ * desktops to the last remaining one, along with the current desktop.
+ */
+function testMergeDeletedDesktops() {
+  asyncTestCase.waitForAsync('finishing desktop switch 1/3');
+
+  virtualDesktopManager.switchToDesktop(1, 1, true, function() {
+    asyncTestCase.waitForAsync('finishing desktop switch 2/3');
+
+    virtualDesktopManager.switchToDesktop(3, 3, true, function() {
+      asyncTestCase.waitForAsync('finishing desktop switch 3/3');
+
+      virtualDesktopManager.switchToDesktop(2, 2, true, function() {
+        assertEquals(2, currentDesktop);
+
+        // Reduce the number of desktops!
+        virtualdesktops.settings.setRemovedDesktopWindows('merge');
+        virtualdesktops.settings.setDesktops(2);
+
+        asyncTestCase.waitForAsync('reconciling desktops');
+
+        virtualDesktopManager.reconcileDesktops(function() {
+          assertEquals(1, currentDesktop);
+          assertEquals(1, virtualDesktopManager.getDesktopOfWindow(1));
+          assertEquals(1, virtualDesktopManager.getDesktopOfWindow(2));
+          assertEquals(1, virtualDesktopManager.getDesktopOfWindow(3));
+          assertEquals(0, virtualDesktopManager.getDesktopOfWindow(5));
+          // The windows already on the last desktop are shown now, too.
+          assertEquals('normal', windowProvider.windows[1].state);
+          assertEquals('normal', windowProvider.windows[2].state);
+          assertEquals('normal', windowProvider.windows[3].state);
+          assertEquals('minimized', windowProvider.windows[5].state);
+
+          asyncTestCase.waitForAsync('finishing desktop switch 4/4');
+
+          // Switching to the next desktop wraps around to the first one.
+          virtualDesktopManager.switchToDesktop(2, 2, false, function() {
+            assertEquals(0, currentDesktop);
+            assertEquals('normal', windowProvider.windows[5].state);
+            assertEquals('minimized', windowProvider.windows[3].state);
+
+            asyncTestCase.continueTesting();
+          });
+        });
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether lowering the number of desktops can spread the windows on
+ * removed desktops over the remaining ones.
+ */
+function testRedistributeDeletedDesktops() {
+  asyncTestCase.waitForAsync('finishing desktop switch 1/3');
+
+  virtualDesktopManager.switchToDesktop(1, 1, true, function() {
+    asyncTestCase.waitForAsync('finishing desktop switch 2/3');
+
+    virtualDesktopManager.switchToDesktop(3, 3, true, function() {
+      asyncTestCase.waitForAsync('finishing desktop switch 3/3');
+
+      virtualDesktopManager.switchToDesktop(2, 2, true, function() {
+        assertEquals(2, currentDesktop);
+
+        // Reduce the number of desktops!
+        virtualdesktops.settings.setRemovedDesktopWindows('redistribute');
+        virtualdesktops.settings.setDesktops(2);
+
+        asyncTestCase.waitForAsync('reconciling desktops');
+
+        virtualDesktopManager.reconcileDesktops(function() {
+          assertEquals(0, currentDesktop);
+          assertEquals(1, virtualDesktopManager.getDesktopOfWindow(1));
+          assertEquals(0, virtualDesktopManager.getDesktopOfWindow(2));
+          assertEquals(1, virtualDesktopManager.getDesktopOfWindow(3));
+          assertEquals(0, virtualDesktopManager.getDesktopOfWindow(5));
+          assertEquals('minimized', windowProvider.windows[1].state);
+          assertEquals('normal', windowProvider.windows[2].state);
+          assertEquals('minimized', windowProvider.windows[3].state);
+          assertEquals('normal', windowProvider.windows[5].state);
+
+          asyncTestCase.waitForAsync('reconciling again');
+
+          // Nothing is left to do.
+          virtualDesktopManager.reconcileDesktops(function() {
+            assertEquals(0, currentDesktop);
+
+            asyncTestCase.continueTesting();
+          });
+        });
+      });
+    });
+  });
+}
+
+
 /**
  * Tests whether switching to the previous virtual desktop switches to the last
  * desktop if the current desktop is unavailable.
@@ -262,6 +390,299 @@ function testSwitchBackwardFromDeletedDesktop() {
 }
 
 
+/**
+ * Tests whether switching to a desktop by number goes there directly, and
+ * refuses to go to an empty desktop instead of skipping ahead to the next
+ * non-empty one.
+ */
+function testSwitchToAbsoluteDesktop() {
+  asyncTestCase.waitForAsync('finishing desktop switch 1/3');
+
+  virtualDesktopManager.switchToAbsoluteDesktop(2, 1, true, function() {
+    assertEquals(2, currentDesktop);
+    assertEquals('normal', windowProvider.windows[1].state);
+    assertEquals('minimized', windowProvider.windows[2].state);
+
+    asyncTestCase.waitForAsync('finishing desktop switch 2/3');
+
+    // Desktop 3 is empty, so we must stay on desktop 2 rather than wrap around
+    // to desktop 0.
+    virtualDesktopManager.switchToAbsoluteDesktop(3, 1, false, function() {
+      assertEquals(2, currentDesktop);
+      assertEquals('normal', windowProvider.windows[1].state);
+
+      asyncTestCase.waitForAsync('finishing desktop switch 3/3');
+
+      virtualDesktopManager.switchToAbsoluteDesktop(0, 1, false, function() {
+        assertEquals(0, currentDesktop);
+        assertEquals('minimized', windowProvider.windows[1].state);
+        assertEquals('normal', windowProvider.windows[2].state);
+
+        asyncTestCase.continueTesting();
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether sending a window to another desktop minimizes it without
+ * switching desktops, and whether the window is then listed on that desktop.
+ */
+function testSendWindowToDesktop() {
+  asyncTestCase.waitForAsync('sending window');
+
+  virtualDesktopManager.sendWindowToDesktop(2, 2, function() {
+    assertEquals(0, currentDesktop);
+    assertEquals('normal', windowProvider.windows[1].state);
+    assertEquals('minimized', windowProvider.windows[2].state);
+    assertEquals('normal', windowProvider.windows[3].state);
+    assertEquals(2, virtualDesktopManager.getDesktopOfWindow(2));
+
+    asyncTestCase.waitForAsync('listing windows');
+
+    virtualDesktopManager.getWindowsByDesktop(function(windowsByDesktop) {
+      var idsByDesktop = windowsByDesktop.map(function(windows) {
+        return windows.map(function(w) { return w.id; });
+      });
+      assertObjectEquals([[1, 3, 4, 5], [], [2], []], idsByDesktop);
+
+      asyncTestCase.waitForAsync('focusing window');
+
+      // Focusing the window has to switch to its desktop.
+      virtualDesktopManager.focusWindow(2, function() {
+        assertEquals(2, currentDesktop);
+        assertEquals('minimized', windowProvider.windows[1].state);
+        assertEquals('normal', windowProvider.windows[2].state);
+        assertEquals(2, windowProvider.lastFocusedWindow);
+
+        asyncTestCase.continueTesting();
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether arranging the current desktop tiles its visible windows, and
+ * remembers their new positions.
+ */
+function testArrangeDesktop() {
+  asyncTestCase.waitForAsync('sending window');
+
+  virtualDesktopManager.sendWindowToDesktop(5, 1, function() {
+    asyncTestCase.waitForAsync('arranging desktop');
+
+    var workArea = {left: 0, top: 0, width: 1200, height: 900};
+    virtualDesktopManager.arrangeDesktop(virtualdesktops.tiling.Mode.COLUMNS,
+        workArea, 3, function() {
+          // Window 3 is focused, so it comes first. Window 4 is minimized and
+          // window 5 is on another desktop, so both are left alone.
+          assertEquals(0, windowProvider.windows[3].left);
+          assertEquals(400, windowProvider.windows[1].left);
+          assertEquals(800, windowProvider.windows[2].left);
+          assertEquals(400, windowProvider.windows[1].width);
+          assertEquals(900, windowProvider.windows[1].height);
+          assertEquals('minimized', windowProvider.windows[4].state);
+          assertEquals(200, windowProvider.windows[5].width);
+
+          asyncTestCase.waitForAsync('switching desktops');
+
+          // The new positions must be restored after switching back.
+          virtualDesktopManager.switchToDesktop(1, 5, false, function() {
+            windowProvider.windows[1].left = 0;
+            asyncTestCase.waitForAsync('switching back');
+
+            virtualDesktopManager.switchToDesktop(0, 1, false, function() {
+              assertEquals(400, windowProvider.windows[1].left);
+
+              asyncTestCase.continueTesting();
+            });
+          });
+        });
+  });
+}
+
+
+/**
+ * Tests whether switching desktops per display leaves windows on other
+ * displays alone.
+ */
+function testSwitchPerDisplay() {
+  asyncTestCase.waitForAsync('finishing desktop switch');
+
+  virtualdesktops.settings.setPerDisplayDesktops(true);
+  windowProvider.windows[5].left = 1380;
+  virtualDesktopManager.setDisplays([PRIMARY_DISPLAY, SECONDARY_DISPLAY]);
+  virtualDesktopManager.switchToDesktop(1, 1, true, function() {
+    assertEquals(1, currentDesktop);
+    assertArrayEquals([1, 0],
+        virtualDesktopManager.getCurrentDesktopsByDisplay());
+    assertEquals('normal', windowProvider.windows[1].state);
+    assertEquals('minimized', windowProvider.windows[2].state);
+    assertEquals('minimized', windowProvider.windows[3].state);
+    assertEquals('normal', windowProvider.windows[5].state);
+    assertEquals(0, virtualDesktopManager.currentDesktopForWindow(5));
+
+    asyncTestCase.waitForAsync('switching on the secondary display');
+
+    // Window 5 is alone on the secondary display, so it can only be sent
+    // along.
+    virtualDesktopManager.switchToDesktop(2, 5, true, function() {
+      assertEquals(2, currentDesktop);
+      assertArrayEquals([1, 2],
+          virtualDesktopManager.getCurrentDesktopsByDisplay());
+      assertEquals('normal', windowProvider.windows[1].state);
+      assertEquals('minimized', windowProvider.windows[2].state);
+      assertEquals('normal', windowProvider.windows[5].state);
+
+      asyncTestCase.continueTesting();
+    });
+  });
+}
+
+
+/**
+ * Tests whether windows are put back on their desktops after a reboot gave
+ * them new IDs.
+ */
+function testReidentifyWindowsAfterReboot() {
+  for (var winId = 1; winId <= 5; ++winId) {
+    windowProvider.windows[winId].tabs = [
+      {id: winId * 100, index: 0, url: 'https://example.com/' + winId},
+      {id: winId * 100 + 1, index: 1, url: 'https://example.org/'}
+    ];
+  }
+  asyncTestCase.waitForAsync('sending windows');
+
+  virtualDesktopManager.sendWindowToDesktop(5, 1, function() {
+    virtualDesktopManager.sendWindowToDesktop(2, 2, function() {
+      // Reboot. Chrome restores all windows unminimized, with new IDs in a
+      // different order.
+      var oldWindows = windowProvider.windows;
+      windowProvider = new virtualdesktops.FakeWindowProvider();
+      var newIds = {1: 13, 2: 11, 3: 14, 4: 15, 5: 12};
+      for (var oldId in newIds) {
+        var win = oldWindows[oldId];
+        win.id = newIds[oldId];
+        win.state = 'normal';
+        windowProvider.windows[win.id] = win;
+      }
+      // Window 5 had been minimized before its position was changed.
+      windowProvider.windows[12].left = 100;
+      virtualDesktopManager = new virtualdesktops.VirtualDesktopManager(
+          windowProvider, function(desktop) { currentDesktop = desktop; });
+      asyncTestCase.waitForAsync('reidentifying windows');
+
+      virtualDesktopManager.reidentifyWindows(function() {
+        assertEquals(0, virtualDesktopManager.getDesktopOfWindow(13));
+        assertEquals(2, virtualDesktopManager.getDesktopOfWindow(11));
+        assertEquals(0, virtualDesktopManager.getDesktopOfWindow(14));
+        assertEquals(0, virtualDesktopManager.getDesktopOfWindow(15));
+        assertEquals(1, virtualDesktopManager.getDesktopOfWindow(12));
+        assertEquals('normal', windowProvider.windows[13].state);
+        assertEquals('minimized', windowProvider.windows[11].state);
+        assertEquals('minimized', windowProvider.windows[12].state);
+
+        asyncTestCase.continueTesting();
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether a session snapshot recreates windows with their tabs on their
+ * desktops.
+ */
+function testSnapshot() {
+  asyncTestCase.waitForAsync('sending window');
+
+  windowProvider.windows[1].tabs = [
+    {id: 100, index: 0, url: 'https://example.com/', pinned: true},
+    {id: 101, index: 1, url: 'https://example.org/', pinned: false}
+  ];
+  virtualDesktopManager.sendWindowToDesktop(5, 1, function() {
+    asyncTestCase.waitForAsync('taking snapshot');
+
+    virtualDesktopManager.takeSnapshot('work', function(snapshot) {
+      assertEquals('work', snapshot.name);
+      assertEquals(4, snapshot.desktops[0].length);
+      assertEquals(1, snapshot.desktops[1].length);
+
+      // Simulate a browser restart, which loses all windows.
+      windowProvider.windows = {};
+      asyncTestCase.waitForAsync('restoring snapshot');
+
+      virtualDesktopManager.restoreSnapshot(snapshot, function() {
+        assertEquals(5, Object.keys(windowProvider.windows).length);
+        var tabs = windowProvider.windows[1].tabs;
+        assertEquals(2, tabs.length);
+        assertEquals('https://example.com/', tabs[0].url);
+        assertTrue(tabs[0].pinned);
+        assertFalse(tabs[1].pinned);
+        assertEquals(1280, windowProvider.windows[1].width);
+        assertEquals('minimized', windowProvider.windows[4].state);
+        assertEquals(1, virtualDesktopManager.getDesktopOfWindow(5));
+        assertEquals('minimized', windowProvider.windows[5].state);
+
+        asyncTestCase.continueTesting();
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether windows remembered on a disconnected display get restored on
+ * a remaining display.
+ */
+function testRemapWindowStates() {
+  asyncTestCase.waitForAsync('sending window');
+
+  windowProvider.windows[5].left = 1380;
+  virtualDesktopManager.setDisplays([PRIMARY_DISPLAY, SECONDARY_DISPLAY]);
+  virtualDesktopManager.sendWindowToDesktop(5, 1, function() {
+    virtualDesktopManager.setDisplays([PRIMARY_DISPLAY]);
+    asyncTestCase.waitForAsync('switching desktops');
+
+    virtualDesktopManager.switchToDesktop(1, 5, false, function() {
+      assertEquals(100, windowProvider.windows[5].left);
+      assertEquals(0, windowProvider.windows[5].top);
+      assertEquals(200, windowProvider.windows[5].width);
+      assertEquals(150, windowProvider.windows[5].height);
+
+      asyncTestCase.continueTesting();
+    });
+  });
+}
+
+
+/**
+ * Tests whether a display disconnected while the extension was stopped is
+ * noticed once it is restarted, as happens to service workers when idle.
+ */
+function testRemapWindowStatesAfterRestart() {
+  asyncTestCase.waitForAsync('sending window');
+
+  windowProvider.windows[5].left = 1380;
+  virtualDesktopManager.setDisplays([PRIMARY_DISPLAY, SECONDARY_DISPLAY]);
+  virtualDesktopManager.sendWindowToDesktop(5, 1, function() {
+    virtualDesktopManager = new virtualdesktops.VirtualDesktopManager(
+        windowProvider, function(desktop) { currentDesktop = desktop; });
+    virtualDesktopManager.setDisplays([PRIMARY_DISPLAY]);
+    asyncTestCase.waitForAsync('switching desktops');
+
+    virtualDesktopManager.switchToDesktop(1, 5, false, function() {
+      assertEquals(100, windowProvider.windows[5].left);
+      assertEquals(200, windowProvider.windows[5].width);
+
+      asyncTestCase.continueTesting();
+    });
+  });
+}
+
+
 /**
  * Tests whether closing the last remaining window on a desktop will switch to
  * another desktop.
@@ -282,6 +703,526 @@ function testForgetWindowSwitchesDesktop() {
 }
 
 
+/**
+ * Tests whether new windows are sent to the desktop and grid cells of the
+ * window rule they match, and windows without a URL yet are left alone.
+ */
+function testApplyWindowRules() {
+  virtualdesktops.settings.setColumns(2);
+  virtualdesktops.settings.setRows(1);
+  virtualdesktops.settings.setWindowRules([{
+    pattern: '*://meet.google.com/*',
+    incognito: null,
+    type: '',
+    desktop: 2,
+    x: 1,
+    y: 0,
+    w: 1,
+    h: 1
+  }]);
+  virtualDesktopManager.setDisplays([PRIMARY_DISPLAY]);
+  asyncTestCase.waitForAsync('checking new windows');
+
+  var createInfo = {left: 0, top: 0, width: 640, height: 480};
+  windowProvider.create(createInfo, function(blank) {
+    virtualDesktopManager.applyWindowRules(blank.id, function(checked) {
+      assertFalse(checked);
+      windowProvider.windows[blank.id].tabs = [
+        {id: blank.id * 100, index: 0, url: 'https://example.com/'}
+      ];
+      virtualDesktopManager.applyWindowRules(blank.id, function(checked) {
+        assertTrue(checked);
+        assertEquals(0, virtualDesktopManager.getDesktopOfWindow(blank.id));
+        assertEquals('normal', windowProvider.windows[blank.id].state);
+
+        createInfo.url = 'https://meet.google.com/abc-defg-hij';
+        windowProvider.create(createInfo, function(meet) {
+          virtualDesktopManager.applyWindowRules(meet.id, function(checked) {
+            assertTrue(checked);
+            assertEquals(2, virtualDesktopManager.getDesktopOfWindow(meet.id));
+            assertEquals('minimized', windowProvider.windows[meet.id].state);
+            asyncTestCase.waitForAsync('switching desktops');
+
+            virtualDesktopManager.switchToDesktop(2, meet.id, false,
+                function() {
+                  var w = windowProvider.windows[meet.id];
+                  assertEquals(2, currentDesktop);
+                  assertEquals('normal', w.state);
+                  assertEquals(640, w.left);
+                  assertEquals(0, w.top);
+                  assertEquals(640, w.width);
+                  assertEquals(960, w.height);
+
+                  asyncTestCase.continueTesting();
+                });
+          });
+        });
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether window rules leave windows restored after a reboot on the
+ * desktops they were on, while still applying to windows created afterwards.
+ */
+function testRulesSkipRestoredWindows() {
+  virtualdesktops.settings.setWindowRules([{
+    pattern: '*://meet.google.com/*',
+    incognito: null,
+    type: '',
+    desktop: 2,
+    x: null,
+    y: null,
+    w: null,
+    h: null
+  }]);
+  windowProvider.windows[1].tabs = [
+    {id: 100, index: 0, url: 'https://meet.google.com/abc-defg-hij'}
+  ];
+  windowProvider.windows[5].tabs = [
+    {id: 500, index: 0, url: 'https://meet.google.com/klm-nopq-rst'}
+  ];
+  asyncTestCase.waitForAsync('sending window');
+
+  virtualDesktopManager.sendWindowToDesktop(5, 1, function() {
+    // Reboot. Chrome restores all windows unminimized, with new IDs.
+    var oldWindows = windowProvider.windows;
+    windowProvider = new virtualdesktops.FakeWindowProvider();
+    for (var oldId in oldWindows) {
+      var win = oldWindows[oldId];
+      win.id += 10;
+      win.state = 'normal';
+      windowProvider.windows[win.id] = win;
+    }
+    virtualDesktopManager = new virtualdesktops.VirtualDesktopManager(
+        windowProvider, function(desktop) { currentDesktop = desktop; });
+    asyncTestCase.waitForAsync('reidentifying windows');
+
+    virtualDesktopManager.reidentifyWindows(function() {
+      asyncTestCase.waitForAsync('checking restored windows');
+
+      virtualDesktopManager.applyWindowRules(11, function(checked) {
+        virtualDesktopManager.applyWindowRules(15, function(checked) {
+          assertTrue(checked);
+          assertEquals(0, virtualDesktopManager.getDesktopOfWindow(11));
+          assertEquals('normal', windowProvider.windows[11].state);
+          assertEquals(1, virtualDesktopManager.getDesktopOfWindow(15));
+          var windowStates = virtualdesktops.storage.load().windowStates;
+          assertEquals(1, windowStates[15].desktop);
+          assertFalse(virtualDesktopManager.isPlacedWindow(1));
+          asyncTestCase.waitForAsync('checking new window');
+
+          windowProvider.create({
+            url: 'https://meet.google.com/uvw-xyza-bcd'
+          }, function(meet) {
+            virtualDesktopManager.applyWindowRules(meet.id, function() {
+              assertEquals(2,
+                  virtualDesktopManager.getDesktopOfWindow(meet.id));
+
+              asyncTestCase.continueTesting();
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether window rules leave windows recreated from a snapshot on the
+ * desktops they were on, while still applying to windows created right
+ * afterwards.
+ */
+function testRulesSkipSnapshotWindows() {
+  virtualdesktops.settings.setWindowRules([{
+    pattern: '*://meet.google.com/*',
+    incognito: null,
+    type: '',
+    desktop: 2,
+    x: null,
+    y: null,
+    w: null,
+    h: null
+  }]);
+  windowProvider.windows[1].tabs = [
+    {id: 100, index: 0, url: 'https://meet.google.com/abc-defg-hij'}
+  ];
+  asyncTestCase.waitForAsync('taking snapshot');
+
+  virtualDesktopManager.takeSnapshot('meetings', function(snapshot) {
+    windowProvider.windows = {};
+    asyncTestCase.waitForAsync('restoring snapshot');
+
+    virtualDesktopManager.restoreSnapshot(snapshot, function() {
+      var createInfo = {url: 'https://meet.google.com/uvw-xyza-bcd'};
+      windowProvider.create(createInfo, function(meet) {
+        assertTrue(virtualDesktopManager.isPlacedWindow(1));
+        assertFalse(virtualDesktopManager.isPlacedWindow(meet.id));
+        asyncTestCase.waitForAsync('checking windows');
+
+        virtualDesktopManager.applyWindowRules(1, function(checked) {
+          virtualDesktopManager.applyWindowRules(meet.id, function(checked) {
+            assertTrue(checked);
+            assertEquals(0, virtualDesktopManager.getDesktopOfWindow(1));
+            assertEquals(2,
+                virtualDesktopManager.getDesktopOfWindow(meet.id));
+
+            asyncTestCase.continueTesting();
+          });
+        });
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether sticky windows stay visible when switching desktops, don't
+ * count as windows on otherwise empty desktops, and stay on the current
+ * desktop once no longer sticky.
+ */
+function testStickyWindow() {
+  asyncTestCase.waitForAsync('making window 5 sticky');
+
+  virtualDesktopManager.setWindowSticky(5, true, function() {
+    assertTrue(virtualDesktopManager.isWindowSticky(5));
+    asyncTestCase.waitForAsync('switching to desktop 2');
+
+    virtualDesktopManager.switchToDesktop(1, 1, true, function() {
+      assertEquals(1, currentDesktop);
+      assertEquals('normal', windowProvider.windows[1].state);
+      assertEquals('minimized', windowProvider.windows[2].state);
+      assertEquals('normal', windowProvider.windows[5].state);
+      assertEquals(1, virtualDesktopManager.getDesktopOfWindow(5));
+      asyncTestCase.waitForAsync('switching to empty desktop 3');
+
+      virtualDesktopManager.switchToAbsoluteDesktop(2, 5, false, function() {
+        assertEquals(1, currentDesktop);
+        asyncTestCase.waitForAsync('unsticking window 5');
+
+        virtualDesktopManager.setWindowSticky(5, false, function() {
+          assertFalse(virtualDesktopManager.isWindowSticky(5));
+          asyncTestCase.waitForAsync('switching to desktop 1');
+
+          virtualDesktopManager.switchToDesktop(0, 1, false, function() {
+            assertEquals(0, currentDesktop);
+            assertEquals('minimized', windowProvider.windows[1].state);
+            assertEquals('normal', windowProvider.windows[2].state);
+            assertEquals('minimized', windowProvider.windows[5].state);
+
+            asyncTestCase.continueTesting();
+          });
+        });
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether a captured state can be restored after windows were moved
+ * between desktops and rearranged.
+ */
+function testCaptureAndRestoreState() {
+  asyncTestCase.waitForAsync('capturing state');
+
+  virtualDesktopManager.captureState(function(entry) {
+    asyncTestCase.waitForAsync('sending window');
+
+    virtualDesktopManager.sendWindowToDesktop(5, 1, function() {
+      asyncTestCase.waitForAsync('arranging desktop');
+
+      var workArea = {left: 0, top: 0, width: 1200, height: 900};
+      virtualDesktopManager.arrangeDesktop(
+          virtualdesktops.tiling.Mode.COLUMNS, workArea, 3, function() {
+            assertEquals(1, virtualDesktopManager.getDesktopOfWindow(5));
+            assertEquals(400, windowProvider.windows[1].left);
+            asyncTestCase.waitForAsync('restoring state');
+
+            virtualDesktopManager.restoreState(entry, function() {
+              assertEquals(0, virtualDesktopManager.getDesktopOfWindow(5));
+              assertEquals('normal', windowProvider.windows[5].state);
+              assertEquals(0, windowProvider.windows[1].left);
+              assertEquals(1280, windowProvider.windows[1].width);
+              assertEquals(640, windowProvider.windows[3].left);
+              assertEquals('minimized', windowProvider.windows[4].state);
+
+              asyncTestCase.continueTesting();
+            });
+          });
+    });
+  });
+}
+
+
+/**
+ * Tests whether desktops can be swapped and merged.
+ */
+function testSwapAndMergeDesktops() {
+  virtualdesktops.settings.setDesktopName(1, 'Mail');
+  asyncTestCase.waitForAsync('sending windows');
+
+  virtualDesktopManager.sendWindowToDesktop(5, 1, function() {
+    virtualDesktopManager.sendWindowToDesktop(3, 2, function() {
+      asyncTestCase.waitForAsync('swapping desktops');
+
+      virtualDesktopManager.swapDesktops(1, 2, function() {
+        assertEquals(2, virtualDesktopManager.getDesktopOfWindow(5));
+        assertEquals(1, virtualDesktopManager.getDesktopOfWindow(3));
+        assertEquals('Mail', virtualdesktops.settings.getDesktopName(2));
+        assertEquals('Desktop 2', virtualdesktops.settings.getDesktopName(1));
+        assertEquals(0, currentDesktop);
+        asyncTestCase.waitForAsync('merging desktops');
+
+        virtualDesktopManager.moveDesktopWindows(2, 0, function() {
+          // The windows of the merged desktop must be shown as they were.
+          assertEquals(0, virtualDesktopManager.getDesktopOfWindow(5));
+          assertEquals('normal', windowProvider.windows[5].state);
+          assertEquals(200, windowProvider.windows[5].width);
+          assertEquals('minimized', windowProvider.windows[3].state);
+          assertEquals('Mail', virtualdesktops.settings.getDesktopName(2));
+
+          asyncTestCase.continueTesting();
+        });
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether inserting and deleting desktops shifts the following ones.
+ */
+function testInsertAndDeleteDesktop() {
+  virtualdesktops.settings.setDesktopName(1, 'Mail');
+  asyncTestCase.waitForAsync('sending window');
+
+  virtualDesktopManager.sendWindowToDesktop(5, 1, function() {
+    asyncTestCase.waitForAsync('inserting desktop');
+
+    virtualDesktopManager.insertDesktop(0, function() {
+      assertEquals(5, virtualdesktops.settings.getDesktops());
+      assertEquals(1, currentDesktop);
+      assertEquals(1, virtualDesktopManager.getDesktopOfWindow(1));
+      assertEquals(2, virtualDesktopManager.getDesktopOfWindow(5));
+      assertEquals('Mail', virtualdesktops.settings.getDesktopName(2));
+      assertEquals('Desktop 1', virtualdesktops.settings.getDesktopName(0));
+      asyncTestCase.waitForAsync('deleting current desktop');
+
+      virtualDesktopManager.deleteDesktop(1, function() {
+        // The windows of the current desktop are moved to the previous one,
+        // which becomes current.
+        assertEquals(4, virtualdesktops.settings.getDesktops());
+        assertEquals(0, currentDesktop);
+        assertEquals(0, virtualDesktopManager.getDesktopOfWindow(1));
+        assertEquals('normal', windowProvider.windows[1].state);
+        assertEquals(1, virtualDesktopManager.getDesktopOfWindow(5));
+        assertEquals('Mail', virtualdesktops.settings.getDesktopName(1));
+        asyncTestCase.waitForAsync('deleting first desktop');
+
+        virtualDesktopManager.deleteDesktop(0, function() {
+          // The windows of the first desktop are moved to the next one.
+          assertEquals(3, virtualdesktops.settings.getDesktops());
+          assertEquals(0, currentDesktop);
+          assertEquals(0, virtualDesktopManager.getDesktopOfWindow(1));
+          assertEquals(0, virtualDesktopManager.getDesktopOfWindow(5));
+          assertEquals('normal', windowProvider.windows[5].state);
+          assertEquals('Mail', virtualdesktops.settings.getDesktopName(0));
+
+          asyncTestCase.continueTesting();
+        });
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether undoing an operation recorded before deleting a desktop puts
+ * the windows on the desktops they were on, under their new numbers.
+ */
+function testUndoAfterDeleteDesktop() {
+  virtualdesktops.history.clear();
+  asyncTestCase.waitForAsync('sending window');
+
+  virtualDesktopManager.sendWindowToDesktop(5, 2, function() {
+    virtualDesktopManager.captureState(function(entry) {
+      virtualdesktops.history.record(entry);
+      virtualDesktopManager.sendWindowToDesktop(5, 3, function() {
+        asyncTestCase.waitForAsync('deleting desktop');
+
+        virtualDesktopManager.deleteDesktop(1, function() {
+          assertEquals(2, virtualDesktopManager.getDesktopOfWindow(5));
+          virtualDesktopManager.captureState(function(current) {
+            asyncTestCase.waitForAsync('undoing');
+
+            virtualDesktopManager.restoreState(
+                virtualdesktops.history.undo(current), function() {
+                  // Desktop 3 became desktop 2.
+                  assertEquals(0, currentDesktop);
+                  assertEquals(1, virtualDesktopManager.getDesktopOfWindow(5));
+                  asyncTestCase.waitForAsync('redoing');
+
+                  virtualDesktopManager.captureState(function(undone) {
+                    virtualDesktopManager.restoreState(
+                        virtualdesktops.history.redo(undone), function() {
+                          assertEquals(2,
+                              virtualDesktopManager.getDesktopOfWindow(5));
+
+                          asyncTestCase.continueTesting();
+                        });
+                  });
+                });
+          });
+        });
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether windows created, moved or resized between desktop switches are
+ * remembered right away, and persisted after a delay.
+ */
+function testTrackWindowChanges() {
+  var updateWindow =
+      virtualDesktopManager.updateWindow.bind(virtualDesktopManager);
+  windowProvider.onCreated(updateWindow);
+  windowProvider.onBoundsChanged(updateWindow);
+  asyncTestCase.waitForAsync('sending window');
+
+  virtualDesktopManager.sendWindowToDesktop(1, 1, function() {
+    // The user creates a window, and moves window 2 by hand.
+    windowProvider.create({left: 20, top: 30, width: 400, height: 300},
+        function() {});
+    assertEquals(0, virtualDesktopManager.getDesktopOfWindow(6));
+    windowProvider.update(2, {left: 10, width: 300}, function() {});
+    assertEquals(0, virtualdesktops.storage.load().windowStates[2].x);
+    // Waiting for the state to be saved takes longer than a step may by
+    // default.
+    var stepTimeout = asyncTestCase.stepTimeout;
+    asyncTestCase.stepTimeout = 4 * virtualdesktops.SAVE_STATE_DELAY_MS;
+    asyncTestCase.waitForAsync('saving state');
+
+    setTimeout(function() {
+      asyncTestCase.stepTimeout = stepTimeout;
+      assertEquals(10, virtualdesktops.storage.load().windowStates[2].x);
+      assertEquals(300, virtualdesktops.storage.load().windowStates[2].w);
+      assertEquals(0, virtualdesktops.storage.load().windowStates[6].desktop);
+
+      // The user minimizes window 2, after which ChromeOS doesn't tell where
+      // it was any more.
+      windowProvider.update(2, {state: 'minimized'}, function() {});
+      windowProvider.windows[2].left = 0;
+      windowProvider.windows[2].width = 0;
+      asyncTestCase.waitForAsync('switching to desktop 2');
+
+      virtualDesktopManager.switchToDesktop(1, 3, false, function() {
+        assertEquals(1, currentDesktop);
+        assertEquals('minimized', windowProvider.windows[6].state);
+        var windowState = virtualdesktops.storage.load().windowStates[2];
+        assertEquals('minimized', windowState.state);
+        assertEquals(10, windowState.x);
+        assertEquals(300, windowState.w);
+
+        asyncTestCase.continueTesting();
+      });
+    }, 2 * virtualdesktops.SAVE_STATE_DELAY_MS);
+  });
+}
+
+
+/**
+ * Tests whether sending a tab to another desktop moves it into a window there,
+ * or creates one there if none exists, without switching desktops.
+ */
+function testSendTabToDesktop() {
+  windowProvider.windows[1].tabs = [100, 101, 102].map(function(id, i) {
+    return {id: id, index: i, url: 'https://example.com/' + i, pinned: false};
+  });
+  windowProvider.windows[5].tabs =
+      [{id: 500, index: 0, url: 'https://example.org/', pinned: false}];
+  asyncTestCase.waitForAsync('sending window');
+
+  virtualDesktopManager.sendWindowToDesktop(5, 1, function() {
+    asyncTestCase.waitForAsync('sending tab to desktop 2');
+
+    virtualDesktopManager.sendTabToDesktop(101, 1, function() {
+      assertEquals(0, currentDesktop);
+      assertEquals(2, windowProvider.windows[1].tabs.length);
+      assertEquals(101, windowProvider.windows[5].tabs[1].id);
+      asyncTestCase.waitForAsync('sending tab to desktop 3');
+
+      virtualDesktopManager.sendTabToDesktop(102, 2, function() {
+        // No window is on desktop 3, so a hidden one is created there.
+        assertEquals(0, currentDesktop);
+        assertEquals(1, windowProvider.windows[1].tabs.length);
+        assertEquals(102, windowProvider.windows[6].tabs[0].id);
+        assertEquals('minimized', windowProvider.windows[6].state);
+        assertEquals(2, virtualDesktopManager.getDesktopOfWindow(6));
+        assertTrue(virtualDesktopManager.isPlacedWindow(6));
+        var windowState = virtualdesktops.storage.load().windowStates[6];
+        assertEquals(2, windowState.desktop);
+        assertEquals(1280, windowState.w);
+
+        asyncTestCase.continueTesting();
+      });
+    });
+  });
+}
+
+
+/**
+ * Tests whether a window created from several tabs gets them in their order,
+ * keeps their pinned state and activates the given tab, while tabs of another
+ * incognito mode are left alone.
+ */
+function testCreateWindowFromTabs() {
+  windowProvider.windows[1].tabs = [100, 101, 102, 103].map(function(id, i) {
+    return {id: id, index: i, url: 'https://example.com/' + i,
+      pinned: i < 2, active: i == 3};
+  });
+  windowProvider.windows[2].incognito = true;
+  windowProvider.windows[2].tabs =
+      [{id: 200, index: 0, url: 'https://example.org/', pinned: false,
+        active: true}];
+  asyncTestCase.waitForAsync('creating window from tabs');
+
+  virtualDesktopManager.createWindowFromTabs([100, 102, 103, 200], 102,
+      {type: 'normal', incognito: false, focused: true}, function(win) {
+    assertEquals(6, win.id);
+    assertTrue(virtualDesktopManager.isPlacedWindow(6));
+    var tabs = windowProvider.windows[6].tabs;
+    assertArrayEquals([100, 102, 103], tabs.map(function(tab) {
+      return tab.id;
+    }));
+    assertArrayEquals([true, false, false], tabs.map(function(tab) {
+      return tab.pinned;
+    }));
+    assertArrayEquals([false, true, false], tabs.map(function(tab) {
+      return tab.active;
+    }));
+    assertEquals(101, windowProvider.windows[1].tabs[0].id);
+    assertEquals(1, windowProvider.windows[1].tabs.length);
+    assertEquals(200, windowProvider.windows[2].tabs[0].id);
+    asyncTestCase.waitForAsync('creating window from incognito tabs');
+
+    virtualDesktopManager.createWindowFromTabs([101], 101,
+        {type: 'normal', incognito: true, focused: true}, function(win) {
+      // No tab matches, so no window is created.
+      assertNull(win);
+      assertEquals(1, windowProvider.windows[1].tabs.length);
+
+      asyncTestCase.continueTesting();
+    });
+  });
+}
+
+
 // This must be done at the end so compiled unit tests can work, as this
 // triggers enumeration of all test* functions which are created using this
 // compiled JSCompiler code:
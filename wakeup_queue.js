@@ -81,6 +81,22 @@ virtualdesktops.WakeupQueue.prototype.add = function(func) {
 };
 
 
+/**
+ * Adds a function to a wakeup queue, to be called right after the currently
+ * running one, ahead of all others waiting. If the queue is currently idle, the
+ * function will be called immediately.
+ * @param {function(function())} func The function to enqueue. Must call its
+ *     argument when finished.
+ */
+virtualdesktops.WakeupQueue.prototype.addNext = function(func) {
+  if (this.queue_.length == 0) {
+    this.add(func);
+    return;
+  }
+  this.queue_.splice(1, 0, func);
+};
+
+
 /**
  * Returns true if the wakeup queue is currently idle.
  * @return {boolean} Idle status of the queue.
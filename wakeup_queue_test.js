@@ -82,6 +82,40 @@ function testWakeupQueue() {
 }
 
 
+/**
+ * Tests that addNext() runs its closure right after the currently running one,
+ * ahead of the others waiting.
+ */
+function testAddNext() {
+  var q = new virtualdesktops.WakeupQueue();
+  var order = [];
+  var finishFirst = null;
+
+  q.add(function(finished) {
+    order.push('a');
+    finishFirst = finished;
+  });
+  q.add(function(finished) {
+    order.push('b');
+    finished();
+  });
+  q.addNext(function(finished) {
+    order.push('c');
+    finished();
+  });
+  assertArrayEquals(['a'], order);
+  finishFirst();
+  assertArrayEquals(['a', 'c', 'b'], order);
+  assertTrue(q.isIdle());
+
+  q.addNext(function(finished) {
+    order.push('d');
+    finished();
+  });
+  assertArrayEquals(['a', 'c', 'b', 'd'], order);
+}
+
+
 // This must be done at the end so compiled unit tests can work, as this
 // triggers enumeration of all test* functions which are created using this
 // compiled JSCompiler code:
@@ -99,6 +99,17 @@ virtualdesktops.WindowProvider.prototype.getAll = function(callback) {
 };
 
 
+/**
+ * Queries all windows, including the lists of their tabs.
+ * Just forwarded to the chrome.windows API.
+ * @param {function(!Array<!ChromeWindow>)} callback The callback that
+ *     receives information about the windows when done.
+ */
+virtualdesktops.WindowProvider.prototype.getAllWithTabs = function(callback) {
+  chrome.windows.getAll({'populate': true}, callback);
+};
+
+
 /**
  * Moves and resizes a given window.
  * Compensates for window manager failings (e.g. client area vs window size
@@ -141,6 +152,38 @@ virtualdesktops.WindowProvider.prototype.create =
 };
 
 
+/**
+ * Modifies a given tab, e.g. to pin it.
+ * Just forwarded to the chrome.tabs API.
+ * @param {number} tabId The ID of the tab.
+ * @param {!Object} updateProperties Changes to apply to the tab.
+ * @param {function(): void} callback The callback to call when done.
+ */
+virtualdesktops.WindowProvider.prototype.updateTab =
+    function(tabId, updateProperties, callback) {
+  chrome.tabs.update(tabId, updateProperties, this.wrapCallback_(function() {
+    callback();
+  }));
+};
+
+
+/**
+ * Moves a tab to the end of another window. A window that loses its last tab
+ * this way is closed.
+ * Just forwarded to the chrome.tabs API.
+ * @param {number} tabId The ID of the tab.
+ * @param {number} winId The ID of the window to move the tab to.
+ * @param {function(): void} callback The callback to call when done.
+ */
+virtualdesktops.WindowProvider.prototype.moveTab =
+    function(tabId, winId, callback) {
+  chrome.tabs.move(tabId, {'windowId': winId, 'index': -1},
+      this.wrapCallback_(function() {
+        callback();
+      }));
+};
+
+
 /**
  * Checks whether the requested window update already has been applied. If it
  * has, its result is compared to the request, and - if there are discrepancies
@@ -255,3 +298,48 @@ virtualdesktops.WindowProvider.prototype.onFocusChanged = function(handler) {
 virtualdesktops.WindowProvider.prototype.onRemoved = function(handler) {
   chrome.windows.onRemoved.addListener(handler);
 };
+
+
+/**
+ * Registers an event handler for window creation.
+ * Just forwarded to the chrome.windows API.
+ * @param {function(!ChromeWindow)} handler Event handler receiving the just
+ *     created window. Its tabs are not included.
+ */
+virtualdesktops.WindowProvider.prototype.onCreated = function(handler) {
+  chrome.windows.onCreated.addListener(handler);
+};
+
+
+/**
+ * Registers an event handler for windows being moved or resized.
+ * Just forwarded to the chrome.windows API.
+ * @param {function(!ChromeWindow)} handler Event handler receiving the window
+ *     with its new position and size. Its tabs are not included.
+ */
+virtualdesktops.WindowProvider.prototype.onBoundsChanged = function(handler) {
+  chrome.windows.onBoundsChanged.addListener(handler);
+};
+
+
+/**
+ * Registers an event handler for tab updates, e.g. a tab navigating to another
+ * URL.
+ * Just forwarded to the chrome.tabs API.
+ * @param {function(number, !Object, !Tab)} handler Event handler receiving
+ *     the ID of the tab, the changed properties and the updated tab.
+ */
+virtualdesktops.WindowProvider.prototype.onTabUpdated = function(handler) {
+  chrome.tabs.onUpdated.addListener(handler);
+};
+
+
+/**
+ * Registers an event handler for a tab becoming the active one of its window.
+ * Just forwarded to the chrome.tabs API.
+ * @param {function(!Object)} handler Event handler receiving an object with
+ *     the 'tabId' of the tab and the 'windowId' of its window.
+ */
+virtualdesktops.WindowProvider.prototype.onTabActivated = function(handler) {
+  chrome.tabs.onActivated.addListener(handler);
+};
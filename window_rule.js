@@ -0,0 +1,41 @@
+/*
+ * Copyright 2018 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+
+/**
+ * @package
+ */
+goog.provide('virtualdesktops.WindowRule');
+
+
+/**
+ * A user-defined rule for placing new windows. A window matches if the URL of
+ * its active tab matches pattern (see virtualdesktops.rules.matchesUrl), its
+ * incognito flag equals incognito unless that is null, and its type equals
+ * type unless that is empty. Matching windows are sent to desktop, and, unless
+ * x is null, moved to the grid cells given by x, y, w and h.
+ * @typedef {{
+ *   pattern: string,
+ *   incognito: ?boolean,
+ *   type: string,
+ *   desktop: number,
+ *   x: ?number,
+ *   y: ?number,
+ *   w: ?number,
+ *   h: ?number
+ * }} */
+virtualdesktops.WindowRule;
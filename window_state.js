@@ -23,13 +23,19 @@ goog.provide('virtualdesktops.WindowState');
 
 /**
  * Remembered state of a single window, as far as the VirtualDesktopManager is
- * concerned.
+ * concerned. The URLs of its tabs and its incognito flag serve as a fingerprint
+ * to recognize the window after a browser restart; they are missing in states
+ * saved by older versions. Sticky windows are shown on all desktops; desktop
+ * is then the desktop they were last seen on.
  * @typedef {{
  *   desktop: number,
  *   state: string,
  *   x: number,
  *   y: number,
  *   w: number,
- *   h: number
+ *   h: number,
+ *   urls: (!Array<string>|undefined),
+ *   incognito: (boolean|undefined),
+ *   sticky: (boolean|undefined)
  * }} */
 virtualdesktops.WindowState;